@@ -1,19 +1,103 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyImpersonation, recordImpersonatedRequest } = require('../services/impersonationService');
+
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Requests made with an admin's impersonation token. Every request is
+// recorded for the target user to see, and nothing can be changed.
+const impersonationAuth = async (decoded, req, res, next) => {
+  try {
+    const impersonation = await verifyImpersonation(decoded);
+    if (!impersonation) {
+      return res.status(401).json({ message: 'Impersonation session has ended' });
+    }
+
+    const user = await User.findById(decoded.userId).select('deletedAt status');
+    if (!user || user.deletedAt || !user.isActive()) {
+      return res.status(401).json({ message: 'User is no longer available' });
+    }
+
+    req.user = decoded;
+    recordImpersonatedRequest(req, res);
+
+    if (!SAFE_METHODS.includes(req.method)) {
+      return res.status(403).json({ message: 'Impersonation sessions are read-only' });
+    }
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
 // Middleware to verify JWT token
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ message: 'No token provided' });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  if (decoded.purpose === 'impersonation') {
+    return impersonationAuth(decoded, req, res, next);
+  }
+
+  // Every access token belongs to a server-side session that can be revoked
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const session = await Session.findOne({
+      _id: decoded.sid,
+      user: decoded.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!session) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
+    // Track activity for the device list, without writing on every request
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+      session.lastUsedAt = new Date();
+      session.ip = req.ip;
+      await session.save();
+    }
+
+    // Reject deleted or disabled accounts and tokens issued before the last password change
+    const user = await User.findById(decoded.userId).select('passwordChangedAt deletedAt status statusReason');
+    if (!user || user.deletedAt) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    if (!user.isActive()) {
+      return res.status(403).json({
+        message: `Your account has been ${user.status}`,
+        accountStatus: user.status,
+        reason: user.statusReason
+      });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed. Please log in again.' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
   }
 };
 
@@ -33,8 +117,30 @@ const receptionMiddleware = (req, res, next) => {
   next();
 };
 
+// Middleware to block doctors whose credentials are not approved yet (other roles pass through)
+const approvedDoctorMiddleware = async (req, res, next) => {
+  if (req.user.role !== 'Doctor') {
+    return next();
+  }
+
+  try {
+    const doctor = await User.findById(req.user.userId).select('doctorApproval');
+    if (!doctor || !doctor.isApprovedDoctor()) {
+      return res.status(403).json({
+        message: 'Access denied. Your medical credentials have not been approved yet.',
+        approvalStatus: doctor?.doctorApproval?.status
+      });
+    }
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   authMiddleware,
   adminMiddleware,
-  receptionMiddleware
+  receptionMiddleware,
+  approvedDoctorMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const RateLimit = require('../models/RateLimit');
+
+// Count one hit against a key in the current fixed window.
+// State lives in MongoDB so limits hold across server instances.
+async function hit(key, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { expiresAt: new Date(windowStart + windowMs) }
+  };
+
+  try {
+    return await RateLimit.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      update,
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts for a new window; the second one can simply retry
+    if (error.code === 11000) {
+      return await RateLimit.findOneAndUpdate({ key: `${key}:${windowStart}` }, update, { new: true });
+    }
+    throw error;
+  }
+}
+
+// Value for Express's 'trust proxy' setting from the TRUST_PROXY env var.
+// Behind a reverse proxy, req.ip is the proxy's address unless Express is
+// told to trust the X-Forwarded-For header it sets; per-IP limits would then
+// put every client in one bucket. Accepts a number of proxy hops ("1"), a
+// comma-separated list of proxy addresses or subnets ("loopback, 10.0.0.0/8"),
+// or "true" to trust any (only when the app is never reachable directly).
+// Unset means no proxy.
+function parseTrustProxy(value) {
+  if (value === undefined || value.trim() === '' || value.trim() === 'false') return false;
+  if (value.trim() === 'true') return true;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Key extractors
+const byIp = req => req.ip;
+const byEmail = req => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null);
+const byUser = req => req.user?.userId;
+
+// Middleware factory: allow at most `max` requests per `windowMs` for each key
+const rateLimit = ({ name, windowMs, max, key = byIp, message }) => async (req, res, next) => {
+  const value = key(req);
+  if (!value) return next();
+
+  try {
+    const counter = await hit(`${name}:${value}`, windowMs);
+    if (counter.count > max) {
+      const retryAfter = Math.max(1, Math.ceil((counter.expiresAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: message || 'Too many requests. Please try again later.',
+        retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    // Don't lock everyone out if the limiter store is unavailable
+    console.error('Rate limiter error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit,
+  parseTrustProxy,
+  byIp,
+  byEmail,
+  byUser
+};
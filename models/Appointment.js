@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// An appointment in a patient's medical record
+const appointmentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Identifier of the resource this entry was imported from (FHIR), if any
+  externalId: {
+    type: String
+  }
+});
+
+appointmentSchema.index({ patient: 1, createdAt: 1 });
+appointmentSchema.index({ doctor: 1, patient: 1 });
+appointmentSchema.index({ patient: 1, externalId: 1 }, { partialFilterExpression: { externalId: { $exists: true } } });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -21,7 +21,7 @@ const appointmentInvitationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
     default: 'pending'
   }
 }, { timestamps: true });
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Tip of the audit chain: seq and hash of the last claimed entry. Writers
+// claim the next seq with a compare-and-swap on this document, so appends
+// from concurrent requests (and server instances) are serialized.
+const auditChainHeadSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('AuditChainHead', auditChainHeadSchema);
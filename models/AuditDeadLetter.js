@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Audit entries that could not be stored in the chain after every retry.
+// An entry that had already claimed its seq keeps it, with its prevHash and
+// hash, so chain verification can check it in place of the missing entry.
+const auditDeadLetterSchema = new mongoose.Schema({
+  seq: {
+    type: Number
+  },
+  entry: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  error: {
+    type: String
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+auditDeadLetterSchema.index({ seq: 1 }, { sparse: true });
+
+module.exports = mongoose.model('AuditDeadLetter', auditDeadLetterSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail. Entries are hash-chained: each hash covers the
+// entry's content and the previous entry's hash, so edits or deletions made
+// directly in the database show up when the chain is verified.
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  // Admin behind an impersonation token
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Doctor whose delegation a reception agent acted through
+  viaDoctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Break-glass window the action was taken under
+  emergencyAccess: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAccess'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entryType: {
+    type: String,
+    required: true
+  },
+  entryId: {
+    type: String
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'denied'],
+    default: 'success'
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, { minimize: false });
+
+auditLogSchema.index({ patient: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entryType: 1, entryId: 1 });
+auditLogSchema.index({ emergencyAccess: 1 }, { sparse: true });
+
+// Refuse updates and deletes through the model
+function rejectChange() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
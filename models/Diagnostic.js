@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A diagnostic test result in a patient's medical record
+const diagnosticSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  testName: {
+    type: String,
+    required: true
+  },
+  testDate: {
+    type: Date,
+    required: true
+  },
+  results: {
+    type: String,
+    required: true
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Identifier of the resource this entry was imported from (FHIR), if any
+  externalId: {
+    type: String
+  },
+  // Current revision number; earlier versions are kept as EntryRevisions
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Set when the entry is retracted as "entered in error" instead of deleted
+  retractedAt: {
+    type: Date
+  },
+  retractedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retractionReason: {
+    type: String
+  }
+});
+
+diagnosticSchema.index({ patient: 1, createdAt: 1 });
+diagnosticSchema.index({ doctor: 1, patient: 1 });
+diagnosticSchema.index({ patient: 1, externalId: 1 }, { partialFilterExpression: { externalId: { $exists: true } } });
+
+module.exports = mongoose.model('Diagnostic', diagnosticSchema);
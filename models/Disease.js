@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A diagnosed disease in a patient's medical record
+const diseaseSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  diagnosedDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved', 'chronic'],
+    default: 'active'
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Identifier of the resource this entry was imported from (FHIR), if any
+  externalId: {
+    type: String
+  },
+  // Current revision number; earlier versions are kept as EntryRevisions
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Set when the entry is retracted as "entered in error" instead of deleted
+  retractedAt: {
+    type: Date
+  },
+  retractedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retractionReason: {
+    type: String
+  }
+});
+
+diseaseSchema.index({ patient: 1, createdAt: 1 });
+diseaseSchema.index({ doctor: 1, patient: 1 });
+diseaseSchema.index({ patient: 1, externalId: 1 }, { partialFilterExpression: { externalId: { $exists: true } } });
+
+module.exports = mongoose.model('Disease', diseaseSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A pharmacy handing out the medication of a prescription
+const dispensationSchema = new mongoose.Schema({
+  prescription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+    required: true,
+    unique: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Prescribing doctor, who can see the dispensing history
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pharmacist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pharmacy: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, { timestamps: true });
+
+dispensationSchema.index({ doctor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Dispensation', dispensationSchema);
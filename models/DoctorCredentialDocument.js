@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Supporting documents (licence scans, diplomas) uploaded by doctors for approval
+const doctorCredentialDocumentSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true,
+    enum: ['application/pdf', 'image/png', 'image/jpeg']
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('DoctorCredentialDocument', doctorCredentialDocumentSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Parts of a medical record a patient can share with a doctor
+const SHARED_SECTIONS = ['appointments', 'prescriptions', 'diseases', 'comments', 'diagnostics', 'healthAssessment'];
+
 const doctorRequestSchema = new mongoose.Schema({
   doctor: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,12 +16,75 @@ const doctorRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'revoked'],
     default: 'pending'
-  }
+  },
+  // Consent scope chosen by the patient when accepting. No expiry means
+  // open-ended; no sections (requests accepted before scoping) means everything.
+  accessExpiresAt: {
+    type: Date
+  },
+  sharedSections: {
+    type: [{ type: String, enum: SHARED_SECTIONS }],
+    default: undefined
+  },
+  expiryWarningSentAt: {
+    type: Date
+  },
+  // Every status change, kept when consent is withdrawn and given again
+  history: [{
+    status: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { timestamps: true });
 
 // Ensure one request per doctor-patient pair
 doctorRequestSchema.index({ doctor: 1, patient: 1 }, { unique: true });
+doctorRequestSchema.index({ status: 1, accessExpiresAt: 1 });
+
+// Record the initial status of new requests
+doctorRequestSchema.pre('save', function(next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ status: this.status, changedBy: this.doctor });
+  }
+  next();
+});
+
+doctorRequestSchema.methods.setStatus = function(status, changedBy, reason) {
+  this.status = status;
+  this.history.push({ status, changedBy, reason });
+};
+
+doctorRequestSchema.methods.getSharedSections = function() {
+  return this.sharedSections && this.sharedSections.length > 0 ? this.sharedSections : SHARED_SECTIONS;
+};
+
+doctorRequestSchema.methods.isExpired = function() {
+  return this.status === 'accepted' && !!this.accessExpiresAt && this.accessExpiresAt <= new Date();
+};
+
+// Query for grants that currently give access: accepted and not expired
+doctorRequestSchema.statics.activeFilter = function(filter = {}) {
+  return {
+    ...filter,
+    status: 'accepted',
+    $or: [{ accessExpiresAt: null }, { accessExpiresAt: { $gt: new Date() } }]
+  };
+};
+
+doctorRequestSchema.statics.SHARED_SECTIONS = SHARED_SECTIONS;
 
 module.exports = mongoose.model('DoctorRequest', doctorRequestSchema);
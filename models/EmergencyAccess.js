@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A doctor's "break-glass" read access to a patient who has not granted them
+// access. Every use is reviewed by an admin afterwards.
+const emergencyAccessSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  justification: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'justified', 'unjustified'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    note: {
+      type: String
+    }
+  }
+}, { timestamps: true });
+
+emergencyAccessSchema.index({ doctor: 1, patient: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ 'review.status': 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmergencyAccess', emergencyAccessSchema);
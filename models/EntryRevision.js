@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One version of a clinical entry. Every create, update and "entered in error"
+// retraction adds a revision holding the entry as it was after the change.
+const entryRevisionSchema = new mongoose.Schema({
+  entryType: {
+    type: String,
+    required: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'retract'],
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+entryRevisionSchema.index({ entryType: 1, entry: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('EntryRevision', entryRevisionSchema);
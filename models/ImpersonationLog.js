@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One request made with an impersonation token
+const impersonationLogSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImpersonationSession',
+    required: true,
+    index: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+impersonationLogSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// An admin viewing the app as another user
+const impersonationSessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ImpersonationSession', impersonationSessionSchema);
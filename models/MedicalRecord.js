@@ -1,127 +1,14 @@
 const mongoose = require('mongoose');
 
-const appointmentSchema = new mongoose.Schema({
-  doctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  date: {
-    type: Date,
-    required: true
-  },
-  reason: {
-    type: String,
-    required: true
-  },
-  notes: String,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const prescriptionSchema = new mongoose.Schema({
-  doctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  medication: {
-    type: String,
-    required: true
-  },
-  dosage: {
-    type: String,
-    required: true
-  },
-  duration: String,
-  instructions: String,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const diseaseSchema = new mongoose.Schema({
-  doctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  name: {
-    type: String,
-    required: true
-  },
-  diagnosedDate: {
-    type: Date,
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['active', 'resolved', 'chronic'],
-    default: 'active'
-  },
-  notes: String,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const commentSchema = new mongoose.Schema({
-  doctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  text: {
-    type: String,
-    required: true
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const diagnosticSchema = new mongoose.Schema({
-  doctor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  testName: {
-    type: String,
-    required: true
-  },
-  testDate: {
-    type: Date,
-    required: true
-  },
-  results: {
-    type: String,
-    required: true
-  },
-  notes: String,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
+// One per patient. The entries themselves live in their own collections
+// (Appointment, Prescription, Disease, Comment, Diagnostic), keyed by patient.
 const medicalRecordSchema = new mongoose.Schema({
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
     unique: true
-  },
-  appointments: [appointmentSchema],
-  prescriptions: [prescriptionSchema],
-  diseases: [diseaseSchema],
-  comments: [commentSchema],
-  diagnostics: [diagnosticSchema]
+  }
 }, { timestamps: true });
 
 module.exports = mongoose.model('MedicalRecord', medicalRecordSchema);
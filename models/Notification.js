@@ -17,12 +17,19 @@ const notificationSchema = new mongoose.Schema({
       'doctor_request',
       'request_accepted',
       'request_rejected',
+      'request_revoked',
       'appointment_added',
       'prescription_added',
       'disease_added',
       'diagnostic_added',
       'comment_added',
-      'record_updated'
+      'record_updated',
+      'credentials_reviewed',
+      'account_status',
+      'record_accessed',
+      'access_expiring',
+      'emergency_access',
+      'prescription_dispensed'
     ],
     required: true
   },
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// No 0/O, 1/I/L or U, so codes survive being read out or typed in
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// A prescription in a patient's medical record
+const prescriptionSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medication: {
+    type: String,
+    required: true
+  },
+  dosage: {
+    type: String,
+    required: true
+  },
+  duration: String,
+  instructions: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Short code printed on the prescription sheet so pharmacies can check it
+  verificationCode: {
+    type: String
+  },
+  // Set once a pharmacy hands out the medication; a prescription is used only once
+  dispensedAt: {
+    type: Date
+  },
+  dispensedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Identifier of the resource this entry was imported from (FHIR), if any
+  externalId: {
+    type: String
+  },
+  // Current revision number; earlier versions are kept as EntryRevisions
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Set when the entry is retracted as "entered in error" instead of deleted
+  retractedAt: {
+    type: Date
+  },
+  retractedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retractionReason: {
+    type: String
+  }
+});
+
+prescriptionSchema.index({ patient: 1, createdAt: 1 });
+prescriptionSchema.index({ doctor: 1, patient: 1 });
+prescriptionSchema.index({ verificationCode: 1 }, { unique: true, partialFilterExpression: { verificationCode: { $exists: true } } });
+prescriptionSchema.index({ patient: 1, externalId: 1 }, { partialFilterExpression: { externalId: { $exists: true } } });
+
+prescriptionSchema.statics.generateVerificationCode = function() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+// Normalise a code as typed or scanned ("abcde fghjk" -> "ABCDE-FGHJK")
+prescriptionSchema.statics.normalizeVerificationCode = function(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === CODE_LENGTH ? `${chars.slice(0, 5)}-${chars.slice(5)}` : null;
+};
+
+prescriptionSchema.pre('save', function(next) {
+  if (this.isNew && !this.verificationCode) {
+    this.verificationCode = this.constructor.generateVerificationCode();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Application-wide security settings, stored as a single document
+const securitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['Doctor', 'Patient', 'Reception Agent', 'Pharmacist', 'Admin']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Get the settings document, creating it with defaults on first use
+securitySettingsSchema.statics.getCurrent = async function() {
+  return await this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
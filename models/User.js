@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,19 +22,62 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    // Accounts created by staff have no password until the user activates them
+    required: function() { return !this.requiresActivation; },
     minlength: 6
   },
+  requiresActivation: {
+    type: Boolean,
+    default: false
+  },
+  activationToken: {
+    type: String,
+    select: false
+  },
+  activationExpires: {
+    type: Date
+  },
+  activationSentAt: {
+    type: Date
+  },
+  activationRevokedAt: {
+    type: Date
+  },
   role: {
     type: String,
     required: true,
-    enum: ['Doctor', 'Patient', 'Reception Agent', 'Admin']
+    enum: ['Doctor', 'Patient', 'Reception Agent', 'Pharmacist', 'Admin']
   },
   speciality: {
     type: String,
     required: function() { return this.role === 'Doctor'; },
     trim: true
   },
+  // Credential review for doctors. Doctors created before this existed have no
+  // status and are treated as approved.
+  doctorApproval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    licenseNumber: {
+      type: String,
+      trim: true
+    },
+    submittedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -46,12 +90,137 @@ const userSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Email change awaiting confirmation from the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  pendingEmailCode: {
+    type: String,
+    select: false
+  },
+  pendingEmailExpires: {
+    type: Date
+  },
+  pendingEmailAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lets the owner of the previous address undo a change from the security notice
+  previousEmail: {
+    type: String,
+    select: false
+  },
+  emailChangeCancelToken: {
+    type: String,
+    select: false
+  },
+  emailChangeCancelExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Patients can ask to be told when someone accesses their record for the first time
+  notifyOnNewRecordAccess: {
+    type: Boolean,
+    default: false
+  },
+  // Set by admins; only active accounts can sign in or use the API
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'deactivated'],
+    default: 'active'
+  },
+  statusReason: {
+    type: String
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  // Soft deletion: the account is purged once purgeAfter has passed
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgeAfter: {
+    type: Date
+  },
+  // Set on accounts kept as anonymised tombstones after purge
+  purgedAt: {
+    type: Date
+  },
+  // Purged patients: when the retention period of their clinical records ends
+  retainRecordsUntil: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Support filtered and sorted user listings
+userSchema.index({ role: 1, createdAt: -1 });
+userSchema.index({ role: 1, name: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -59,6 +228,20 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Setting a password completes any pending activation
+    if (this.requiresActivation) {
+      this.requiresActivation = false;
+      this.activationToken = undefined;
+      this.activationExpires = undefined;
+      this.activationRevokedAt = undefined;
+    }
+
+    // Record when the password changed so older tokens can be rejected.
+    // Backdated by a second so a token issued right after saving stays valid.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -67,9 +250,77 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Doctors may only access patients once their credentials are approved
+userSchema.methods.isApprovedDoctor = function() {
+  const status = this.doctorApproval && this.doctorApproval.status;
+  return !status || status === 'approved';
+};
+
+// Accounts created before statuses existed have none and count as active
+userSchema.methods.isActive = function() {
+  return !this.status || this.status === 'active';
+};
+
+// Account lockout after repeated failed logins
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Count a failed login; every lockout doubles the next lock duration
+userSchema.methods.registerFailedLogin = function() {
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const duration = Math.min(BASE_LOCK_DURATION * 2 ** this.lockoutCount, MAX_LOCK_DURATION);
+    this.lockUntil = new Date(Date.now() + duration);
+    this.lockoutCount += 1;
+    this.failedLoginAttempts = 0;
+  }
+};
+
+userSchema.methods.resetLoginFailures = function() {
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Check whether the password changed after a JWT was issued (iat is in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return resetToken;
+};
+
+// Generate an account activation token; a new one replaces any previous link
+userSchema.methods.createActivationToken = function() {
+  const activationToken = crypto.randomBytes(32).toString('hex');
+  this.activationToken = hashToken(activationToken);
+  this.activationExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  this.activationSentAt = new Date();
+  this.activationRevokedAt = undefined;
+  return activationToken;
+};
+
+userSchema.statics.hashToken = hashToken;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -1,14 +1,211 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
 const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const DoctorCredentialDocument = require('../models/DoctorCredentialDocument');
+const AuditLog = require('../models/AuditLog');
+const EmergencyAccess = require('../models/EmergencyAccess');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { revokeSession, revokeAllSessions, listActiveSessions } = require('../services/tokenService');
+const { notifyCredentialReview } = require('../services/notificationService');
+const { isEmailTaken, requestEmailChange } = require('../services/emailChangeService');
+const { GRACE_PERIOD_DAYS, softDeleteUser, restoreUser } = require('../services/accountDeletionService');
+const { parseUserQuery, parsePagination, paginate, setPaginationHeaders } = require('../services/userQueryService');
+const { validateImport, summarize, commitImport } = require('../services/userImportService');
+const { formatCsvRow } = require('../services/csvService');
+const { setAccountStatus, findManageableUser } = require('../services/accountStatusService');
+const { IMPERSONATION_TTL_MINUTES, startImpersonation, endImpersonation } = require('../services/impersonationService');
+const { auditTrail, snapshot, verifyAuditChain } = require('../services/auditService');
+const { getEmergencyAccessDetails, reviewEmergencyAccess } = require('../services/emergencyAccessService');
 
 const router = express.Router();
 
+const EXPORT_COLUMNS = ['_id', 'name', 'familyName', 'email', 'role', 'speciality', 'isVerified', 'status', 'createdAt', 'deletedAt'];
+
+// Throttle every admin endpoint per IP
+router.use(rateLimit({ name: 'admin-ip', windowMs: 60 * 1000, max: 120 }));
+
 // Get all users (Admin only)
-router.get('/users', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/users', authMiddleware, auditTrail('list', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const query = parseUserQuery(req.query, { filters: ['role', 'isVerified', 'status'], defaultSort: '-createdAt' });
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    const { items, pagination } = await paginate(User, query.filter, {
+      ...query,
+      select: '-password -verificationCode -verificationCodeExpires'
+    });
+    setPaginationHeaders(req, res, pagination);
+    res.json(items);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bulk import users from CSV (Admin only)
+// Columns: name, familyName, email, role, speciality. Without ?commit=true
+// this is a dry run that only reports per-row errors. The commit imports
+// every row or none. Doctors await credential review unless
+// ?approveDoctors=true.
+router.post(
+  '/users/import',
+  authMiddleware,
+  auditTrail('import', 'user'),
+  adminMiddleware,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ message: 'Send the CSV file as the request body with Content-Type text/csv' });
+      }
+
+      const validation = await validateImport(req.body);
+      if (validation.error) {
+        return res.status(400).json({ message: validation.error });
+      }
+
+      const report = summarize(validation.rows);
+      const commit = req.query.commit === 'true';
+
+      if (!commit) {
+        return res.json({ message: 'Dry run completed', dryRun: true, ...report });
+      }
+
+      // Nothing is imported unless every row is valid
+      if (report.invalid > 0) {
+        return res.status(400).json({ message: 'Fix the invalid rows before importing', dryRun: false, ...report });
+      }
+
+      const approveDoctors = req.query.approveDoctors === 'true';
+      const { created, activationEmailsFailed, failures } = await commitImport(validation.rows, req.user.userId, { approveDoctors });
+      if (failures) {
+        return res.status(409).json({
+          message: 'Nothing was imported: some rows could not be saved',
+          dryRun: false,
+          ...report,
+          valid: report.total - failures.length,
+          invalid: failures.length,
+          errors: failures
+        });
+      }
+      res.locals.audit = { after: { users: created.map(user => user.id.toString()) } };
+
+      res.status(201).json({
+        message: `${created.length} users imported successfully`,
+        dryRun: false,
+        ...report,
+        activationEmailsFailed,
+        users: created
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Export users as CSV, using the same filters as the user list (Admin only)
+router.get('/users/export', authMiddleware, auditTrail('export', 'user'), adminMiddleware, async (req, res) => {
   try {
-    const users = await User.find().select('-password -verificationCode -verificationCodeExpires');
-    res.json(users);
+    const query = parseUserQuery(req.query, { filters: ['role', 'isVerified', 'status'], defaultSort: '-createdAt' });
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(formatCsvRow(EXPORT_COLUMNS));
+
+    const cursor = User.find(query.filter)
+      .select(EXPORT_COLUMNS.join(' '))
+      .sort(query.sort)
+      .lean()
+      .cursor();
+
+    // pipeline respects backpressure on large exports, and closes the cursor
+    // if the client goes away before the end
+    await pipeline(
+      cursor,
+      async function* (users) {
+        for await (const user of users) {
+          yield formatCsvRow(EXPORT_COLUMNS.map(column => user[column]));
+        }
+      },
+      res
+    );
+  } catch (error) {
+    // Client disconnected mid-export; nothing left to send
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    console.error(error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create user of any role (Admin only)
+router.post('/users', authMiddleware, auditTrail('create', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const { name, familyName, email, password, role, speciality } = req.body;
+
+    if (!name || !familyName || !email || !password || !role) {
+      return res.status(400).json({ message: 'All fields are required' });
+    }
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (role === 'Doctor' && !speciality) {
+      return res.status(400).json({ message: 'Speciality is required for doctors' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    // Accounts created by an admin don't need email verification
+    const user = new User({
+      name,
+      familyName,
+      email,
+      password,
+      role,
+      speciality,
+      doctorApproval: role === 'Doctor'
+        ? { status: 'approved', reviewedBy: req.user.userId, reviewedAt: new Date() }
+        : undefined,
+      isVerified: true
+    });
+
+    await user.save();
+    res.locals.audit = { entryId: user._id, after: snapshot(user) };
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        familyName: user.familyName,
+        email: user.email,
+        role: user.role,
+        speciality: user.speciality,
+        isVerified: user.isVerified
+      }
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -16,7 +213,7 @@ router.get('/users', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 // Get single user by ID (Admin only)
-router.get('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/users/:id', authMiddleware, auditTrail('read', 'user'), adminMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password -verificationCode -verificationCodeExpires');
     if (!user) {
@@ -30,7 +227,7 @@ router.get('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 // Update user (Admin only)
-router.put('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/users/:id', authMiddleware, auditTrail('update', 'user'), adminMiddleware, async (req, res) => {
   try {
     const { name, familyName, email, role, isVerified } = req.body;
 
@@ -39,29 +236,37 @@ router.put('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if email is being changed and if it already exists
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ message: 'Email already in use' });
-      }
-      user.email = email;
+    // A new email must be confirmed by the user from the new address
+    const newEmail = email ? email.trim().toLowerCase() : null;
+    const emailChangeRequested = !!newEmail && newEmail !== user.email;
+    if (emailChangeRequested && await isEmailTaken(newEmail, user._id)) {
+      return res.status(400).json({ message: 'Email already in use' });
     }
 
+    const before = snapshot(user);
+
     if (name) user.name = name;
     if (familyName) user.familyName = familyName;
     if (role) user.role = role;
     if (typeof isVerified === 'boolean') user.isVerified = isVerified;
 
-    await user.save();
+    if (emailChangeRequested) {
+      await requestEmailChange(user, newEmail);
+    } else {
+      await user.save();
+    }
+    res.locals.audit = { before, after: snapshot(user) };
 
     res.json({
-      message: 'User updated successfully',
+      message: emailChangeRequested
+        ? 'User updated. The new email address takes effect once the user confirms it.'
+        : 'User updated successfully',
       user: {
         id: user._id,
         name: user.name,
         familyName: user.familyName,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         role: user.role,
         isVerified: user.isVerified
       }
@@ -73,7 +278,7 @@ router.put('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 // Update user password (Admin only)
-router.put('/users/:id/password', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/users/:id/password', authMiddleware, auditTrail('reset_password', 'user'), adminMiddleware, async (req, res) => {
   try {
     const { newPassword } = req.body;
 
@@ -88,6 +293,7 @@ router.put('/users/:id/password', authMiddleware, adminMiddleware, async (req, r
 
     user.password = newPassword; // Will be hashed by pre-save hook
     await user.save();
+    await revokeAllSessions(user._id, 'admin_password_reset');
 
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
@@ -96,8 +302,76 @@ router.put('/users/:id/password', authMiddleware, adminMiddleware, async (req, r
   }
 });
 
+// Get user's active sessions (Admin only)
+router.get('/users/:id/sessions', authMiddleware, auditTrail('list', 'session'), adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await listActiveSessions(user._id, req.user.sid);
+    res.json(sessions);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out all of a user's sessions (Admin only)
+router.delete('/users/:id/sessions', authMiddleware, auditTrail('revoke_all', 'session'), adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revokedCount = await revokeAllSessions(user._id, 'revoked_by_admin');
+    res.json({ message: 'All sessions signed out successfully', revokedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out one of a user's sessions (Admin only)
+router.delete('/users/:id/sessions/:sessionId', authMiddleware, auditTrail('revoke', 'session'), adminMiddleware, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.sessionId, 'revoked_by_admin', req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset a user's two-factor authentication (Admin only)
+router.delete('/users/:id/2fa', authMiddleware, auditTrail('reset_two_factor', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Sessions established with the old factor shouldn't survive the reset
+    await revokeAllSessions(user._id, 'two_factor_reset');
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete user (Admin only)
-router.delete('/users/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/users/:id', authMiddleware, auditTrail('delete', 'user'), adminMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -109,8 +383,443 @@ router.delete('/users/:id', authMiddleware, adminMiddleware, async (req, res) =>
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
 
-    await User.findByIdAndDelete(req.params.id);
-    res.json({ message: 'User deleted successfully' });
+    if (user.deletedAt) {
+      return res.status(400).json({ message: 'User is already deleted' });
+    }
+
+    // Soft delete; the purge job removes the account after the grace period
+    await softDeleteUser(user, req.user.userId);
+    res.json({
+      message: `User deleted successfully. The account will be purged in ${GRACE_PERIOD_DAYS} days.`,
+      purgeAfter: user.purgeAfter
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend or deactivate a user (Admin only)
+// Suspension is temporary; deactivation is for accounts that should stay closed.
+['suspended', 'deactivated'].forEach(status => {
+  const action = status === 'suspended' ? 'suspend' : 'deactivate';
+
+  router.post(`/users/:id/${action}`, authMiddleware, auditTrail(action, 'user'), adminMiddleware, async (req, res) => {
+    try {
+      const reason = req.body.reason && req.body.reason.trim();
+      if (!reason) {
+        return res.status(400).json({ message: 'A reason is required' });
+      }
+
+      const { user, error } = await findManageableUser(req.params.id, req.user.userId);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+
+      if (user.status === status) {
+        return res.status(400).json({ message: `User is already ${status}` });
+      }
+
+      const before = { status: user.status, statusReason: user.statusReason };
+      await setAccountStatus(user, status, { reason, changedBy: req.user.userId });
+      res.locals.audit = { before, after: { status: user.status, statusReason: user.statusReason } };
+      res.json({
+        message: `User ${status} successfully`,
+        status: user.status,
+        statusReason: user.statusReason,
+        statusChangedAt: user.statusChangedAt
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+// Reinstate a suspended or deactivated user (Admin only)
+router.post('/users/:id/reinstate', authMiddleware, auditTrail('reinstate', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const { user, error } = await findManageableUser(req.params.id, req.user.userId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (user.isActive()) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    const before = { status: user.status, statusReason: user.statusReason };
+    await setAccountStatus(user, 'active', { changedBy: req.user.userId });
+    res.locals.audit = { before, after: { status: user.status } };
+    res.json({
+      message: 'User reinstated successfully',
+      status: user.status,
+      statusChangedAt: user.statusChangedAt
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start viewing the app as another user (Admin only)
+// The token is short-lived and read-only; every request made with it is
+// recorded in an audit trail the user can see.
+router.post('/users/:id/impersonate', authMiddleware, auditTrail('impersonate', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const reason = req.body.reason && req.body.reason.trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target || target.deletedAt || target.purgedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target.role === 'Admin') {
+      return res.status(400).json({ message: 'Admin accounts cannot be impersonated' });
+    }
+
+    if (!target.isActive()) {
+      return res.status(400).json({ message: `Cannot impersonate a ${target.status} account` });
+    }
+
+    const { token, impersonation } = await startImpersonation(req.user.userId, target, reason, req);
+    res.locals.audit = { after: { impersonation: impersonation._id, reason, expiresAt: impersonation.expiresAt } };
+    res.status(201).json({
+      message: `Impersonating ${target.name} ${target.familyName} for ${IMPERSONATION_TTL_MINUTES} minutes`,
+      token,
+      impersonationId: impersonation._id,
+      expiresAt: impersonation.expiresAt,
+      user: {
+        id: target._id,
+        name: target.name,
+        familyName: target.familyName,
+        email: target.email,
+        role: target.role
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End an impersonation early (Admin only, with the admin's own token)
+router.post('/impersonations/:impersonationId/end', authMiddleware, auditTrail('end', 'impersonation'), adminMiddleware, async (req, res) => {
+  try {
+    const impersonation = await endImpersonation(req.params.impersonationId, req.user.userId);
+    if (!impersonation) {
+      return res.status(404).json({ message: 'Active impersonation not found' });
+    }
+
+    res.json({ message: 'Impersonation ended', endedAt: impersonation.endedAt });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a deleted user during the grace period (Admin only)
+router.post('/users/:id/restore', authMiddleware, auditTrail('restore', 'user'), adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletedAt || user.purgedAt) {
+      return res.status(400).json({ message: 'User is not awaiting deletion' });
+    }
+
+    await restoreUser(user);
+    res.json({ message: 'User restored successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Doctor credential review queue (Admin only)
+router.get('/doctor-approvals', authMiddleware, auditTrail('list', 'doctor_credentials'), adminMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const doctors = await User.find({ role: 'Doctor', 'doctorApproval.status': status })
+      .select('name familyName email speciality doctorApproval createdAt')
+      .sort({ 'doctorApproval.submittedAt': 1, createdAt: 1 });
+
+    const documents = await DoctorCredentialDocument.find({
+      doctor: { $in: doctors.map(doctor => doctor._id) }
+    }).sort({ createdAt: 1 });
+
+    const documentsByDoctor = {};
+    documents.forEach(document => {
+      const key = document.doctor.toString();
+      (documentsByDoctor[key] = documentsByDoctor[key] || []).push(document);
+    });
+
+    res.json(doctors.map(doctor => ({
+      ...doctor.toObject(),
+      documents: documentsByDoctor[doctor._id.toString()] || []
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a doctor's supporting document (Admin only)
+router.get('/doctor-approvals/:doctorId/documents/:documentId', authMiddleware, auditTrail('read', 'credential_document'), adminMiddleware, async (req, res) => {
+  try {
+    const document = await DoctorCredentialDocument.findOne({
+      _id: req.params.documentId,
+      doctor: req.params.doctorId
+    }).select('+data');
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(document.filename)}"`);
+    res.send(document.data);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a doctor's credentials (Admin only)
+router.put('/doctor-approvals/:doctorId', authMiddleware, auditTrail('review', 'doctor_credentials'), adminMiddleware, async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ message: 'Decision must be "approved" or "rejected"' });
+    }
+
+    if (decision === 'rejected' && !reason) {
+      return res.status(400).json({ message: 'A reason is required when rejecting credentials' });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.doctorId, role: 'Doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const before = snapshot(doctor.doctorApproval);
+    doctor.doctorApproval.status = decision;
+    doctor.doctorApproval.reviewedBy = req.user.userId;
+    doctor.doctorApproval.reviewedAt = new Date();
+    doctor.doctorApproval.rejectionReason = decision === 'rejected' ? reason : undefined;
+    await doctor.save();
+
+    res.locals.audit = { before, after: snapshot(doctor.doctorApproval) };
+
+    await notifyCredentialReview(req.user.userId, doctor._id, decision === 'approved', reason);
+
+    res.json({
+      message: `Doctor ${decision} successfully`,
+      approval: doctor.doctorApproval
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get security settings (Admin only)
+router.get('/security-settings', authMiddleware, auditTrail('read', 'security_settings'), adminMiddleware, async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getCurrent();
+    res.json(settings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update security settings (Admin only)
+router.put('/security-settings', authMiddleware, auditTrail('update', 'security_settings'), adminMiddleware, async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res.status(400).json({ message: 'twoFactorRequiredRoles must be an array of roles' });
+    }
+
+    const validRoles = User.schema.path('role').enumValues;
+    const invalidRoles = twoFactorRequiredRoles.filter(role => !validRoles.includes(role));
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({ message: `Invalid roles: ${invalidRoles.join(', ')}` });
+    }
+
+    const settings = await SecuritySettings.getCurrent();
+    const before = snapshot(settings);
+    settings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    settings.updatedBy = req.user.userId;
+    await settings.save();
+    res.locals.audit = { entryId: settings._id, before, after: snapshot(settings) };
+
+    res.json({
+      message: 'Security settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List break-glass uses for review (Admin only)
+// Filters: review (pending, justified, unjustified), doctor, patient
+router.get('/emergency-access', authMiddleware, auditTrail('list', 'emergency_access'), adminMiddleware, async (req, res) => {
+  try {
+    const { review, doctor, patient } = req.query;
+    const filter = {};
+
+    if (review) {
+      if (!EmergencyAccess.schema.path('review.status').enumValues.includes(review)) {
+        return res.status(400).json({ message: 'Invalid review status' });
+      }
+      filter['review.status'] = review;
+    }
+    for (const [field, value] of Object.entries({ doctor, patient })) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${field} id` });
+      }
+      filter[field] = value;
+    }
+
+    const paging = parsePagination(req.query);
+    if (paging.error) {
+      return res.status(400).json({ message: paging.error });
+    }
+
+    const { items, pagination } = await paginate(EmergencyAccess, filter, { ...paging, sort: { createdAt: -1 } });
+    await EmergencyAccess.populate(items, [
+      { path: 'doctor', select: 'name familyName speciality' },
+      { path: 'patient', select: 'name familyName' },
+      { path: 'review.reviewedBy', select: 'name familyName' }
+    ]);
+
+    setPaginationHeaders(req, res, pagination);
+    res.json(items);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A break-glass use with every action taken during it (Admin only)
+router.get('/emergency-access/:id', authMiddleware, auditTrail('read', 'emergency_access'), adminMiddleware, async (req, res) => {
+  try {
+    const emergencyAccess = await getEmergencyAccessDetails(req.params.id);
+    if (!emergencyAccess) {
+      return res.status(404).json({ message: 'Emergency access not found' });
+    }
+
+    res.locals.audit = { patient: emergencyAccess.patient && emergencyAccess.patient._id };
+    res.json(emergencyAccess);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record the outcome of a break-glass review (Admin only)
+router.put('/emergency-access/:id/review', authMiddleware, auditTrail('review', 'emergency_access'), adminMiddleware, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['justified', 'unjustified'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be justified or unjustified' });
+    }
+    if (status === 'unjustified' && !note) {
+      return res.status(400).json({ message: 'A note is required when access was not justified' });
+    }
+
+    const emergencyAccess = await reviewEmergencyAccess(req.params.id, req.user.userId, status, note);
+    if (!emergencyAccess) {
+      return res.status(404).json({ message: 'Emergency access not found or already reviewed' });
+    }
+    res.locals.audit = {
+      patient: emergencyAccess.patient,
+      before: { review: 'pending' },
+      after: { review: status, note }
+    };
+
+    res.json({
+      message: `Emergency access marked as ${status}`,
+      emergencyAccess
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Search the audit trail (Admin only)
+// Filters: actor, patient, emergencyAccess, action, entryType, entryId, outcome, from, to
+router.get('/audit', authMiddleware, auditTrail('list', 'audit_log'), adminMiddleware, async (req, res) => {
+  try {
+    const { actor, patient, emergencyAccess, action, entryType, entryId, outcome, from, to } = req.query;
+    const filter = {};
+
+    for (const [field, value] of Object.entries({ actor, patient, emergencyAccess })) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${field} id` });
+      }
+      filter[field] = value;
+    }
+    if (action) filter.action = action;
+    if (entryType) filter.entryType = entryType;
+    if (entryId) filter.entryId = entryId;
+    if (outcome) filter.outcome = outcome;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const paging = parsePagination(req.query);
+    if (paging.error) {
+      return res.status(400).json({ message: paging.error });
+    }
+
+    const { items, pagination } = await paginate(AuditLog, filter, { ...paging, sort: { seq: -1 } });
+    await AuditLog.populate(items, [
+      { path: 'actor', select: 'name familyName role' },
+      { path: 'impersonator', select: 'name familyName' },
+      { path: 'viaDoctor', select: 'name familyName' },
+      { path: 'patient', select: 'name familyName' }
+    ]);
+
+    setPaginationHeaders(req, res, pagination);
+    res.json(items);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check the audit trail's hash chain for tampering (Admin only)
+router.get('/audit/verify', authMiddleware, auditTrail('verify', 'audit_log'), adminMiddleware, async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    res.json(result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -118,7 +827,7 @@ router.delete('/users/:id', authMiddleware, adminMiddleware, async (req, res) =>
 });
 
 // Get user statistics (Admin only)
-router.get('/stats', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/stats', authMiddleware, auditTrail('read', 'user_statistics'), adminMiddleware, async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const verifiedUsers = await User.countDocuments({ isVerified: true });
@@ -3,30 +3,18 @@ const router = express.Router();
 const User = require('../models/User');
 const AppointmentInvitation = require('../models/AppointmentInvitation');
 const DoctorRequest = require('../models/DoctorRequest');
-const MedicalRecord = require('../models/MedicalRecord');
-const { authMiddleware } = require('../middleware/auth');
+const Appointment = require('../models/Appointment');
+const { authMiddleware, approvedDoctorMiddleware } = require('../middleware/auth');
+const { requireRole } = require('../services/accessPolicy');
 const { createNotification } = require('../services/notificationService');
-
-// Middleware to check if user is a patient
-const patientMiddleware = (req, res, next) => {
-  if (req.user.role !== 'Patient') {
-    return res.status(403).json({ message: 'Access denied. Patient role required.' });
-  }
-  next();
-};
-
-// Middleware to check if user is a doctor
-const doctorMiddleware = (req, res, next) => {
-  if (req.user.role !== 'Doctor') {
-    return res.status(403).json({ message: 'Access denied. Doctor role required.' });
-  }
-  next();
-};
+const { ensureMedicalRecord } = require('../services/medicalRecordService');
+const { invitationAcceptanceError } = require('../services/consentService');
 
 // Get all doctors (for patients to send invitations)
-router.get('/doctors/all', authMiddleware, patientMiddleware, async (req, res) => {
+router.get('/doctors/all', authMiddleware, requireRole('Patient'), async (req, res) => {
   try {
-    const doctors = await User.find({ role: 'Doctor' })
+    // Doctors still under credential review aren't offered to patients
+    const doctors = await User.find({ role: 'Doctor', deletedAt: null, 'doctorApproval.status': { $nin: ['pending', 'rejected'] } })
       .select('name familyName email speciality')
       .sort({ name: 1 });
     
@@ -45,10 +33,9 @@ router.get('/doctors/all', authMiddleware, patientMiddleware, async (req, res) =
     });
     
     // Check if already connected via DoctorRequest
-    const existingConnections = await DoctorRequest.find({
-      patient: req.user.userId,
-      status: 'accepted'
-    }).select('doctor');
+    const existingConnections = await DoctorRequest.find(DoctorRequest.activeFilter({
+      patient: req.user.userId
+    })).select('doctor');
     
     const connectionSet = new Set(existingConnections.map(c => c.doctor.toString()));
     
@@ -69,7 +56,7 @@ router.get('/doctors/all', authMiddleware, patientMiddleware, async (req, res) =
 });
 
 // Send appointment invitation to doctor (patient)
-router.post('/send', authMiddleware, patientMiddleware, async (req, res) => {
+router.post('/send', authMiddleware, requireRole('Patient'), async (req, res) => {
   try {
     const { doctorId, appointmentDate, reason } = req.body;
     
@@ -78,8 +65,8 @@ router.post('/send', authMiddleware, patientMiddleware, async (req, res) => {
     }
     
     // Check if doctor exists
-    const doctor = await User.findOne({ _id: doctorId, role: 'Doctor' });
-    if (!doctor) {
+    const doctor = await User.findOne({ _id: doctorId, role: 'Doctor', deletedAt: null });
+    if (!doctor || !doctor.isApprovedDoctor()) {
       return res.status(404).json({ message: 'Doctor not found' });
     }
     
@@ -114,7 +101,7 @@ router.post('/send', authMiddleware, patientMiddleware, async (req, res) => {
 });
 
 // Get appointment invitations for patient
-router.get('/my-invitations', authMiddleware, patientMiddleware, async (req, res) => {
+router.get('/my-invitations', authMiddleware, requireRole('Patient'), async (req, res) => {
   try {
     const invitations = await AppointmentInvitation.find({ patient: req.user.userId })
       .populate('doctor', 'name familyName email speciality')
@@ -127,7 +114,7 @@ router.get('/my-invitations', authMiddleware, patientMiddleware, async (req, res
 });
 
 // Get pending appointment invitations for doctor
-router.get('/pending', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/pending', authMiddleware, requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
     const invitations = await AppointmentInvitation.find({ 
       doctor: req.user.userId,
@@ -143,7 +130,7 @@ router.get('/pending', authMiddleware, doctorMiddleware, async (req, res) => {
 });
 
 // Get all appointment invitations for doctor
-router.get('/all', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/all', authMiddleware, requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
     const invitations = await AppointmentInvitation.find({ 
       doctor: req.user.userId
@@ -158,7 +145,7 @@ router.get('/all', authMiddleware, doctorMiddleware, async (req, res) => {
 });
 
 // Accept/Reject appointment invitation (doctor)
-router.put('/:invitationId', authMiddleware, doctorMiddleware, async (req, res) => {
+router.put('/:invitationId', authMiddleware, requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
     const { invitationId } = req.params;
     const { status } = req.body;
@@ -180,18 +167,26 @@ router.put('/:invitationId', authMiddleware, doctorMiddleware, async (req, res)
       return res.status(400).json({ message: 'Invitation already processed' });
     }
     
+    // Check if DoctorRequest already exists
+    let doctorRequest = await DoctorRequest.findOne({
+      doctor: req.user.userId,
+      patient: invitation.patient
+    });
+    
+    // Revoked or expired access blocks accepting only; declining always works
+    if (status === 'accepted') {
+      const acceptanceError = invitationAcceptanceError(doctorRequest);
+      if (acceptanceError) {
+        return res.status(403).json({ message: acceptanceError });
+      }
+    }
+    
     invitation.status = status;
     await invitation.save();
     
     const doctor = await User.findById(req.user.userId).select('name familyName');
     
     if (status === 'accepted') {
-      // Check if DoctorRequest already exists
-      let doctorRequest = await DoctorRequest.findOne({
-        doctor: req.user.userId,
-        patient: invitation.patient
-      });
-      
       if (!doctorRequest) {
         // Create new DoctorRequest relationship
         doctorRequest = new DoctorRequest({
@@ -201,33 +196,20 @@ router.put('/:invitationId', authMiddleware, doctorMiddleware, async (req, res)
         });
         await doctorRequest.save();
       } else if (doctorRequest.status !== 'accepted') {
-        // Update existing request to accepted
-        doctorRequest.status = 'accepted';
+        // The patient's invitation counts as consent to a pending or rejected
+        // request. Shared sections and time limit stay as the patient last chose them.
+        doctorRequest.setStatus('accepted', req.user.userId, 'appointment_invitation_accepted');
         await doctorRequest.save();
       }
       
-      // Get or create medical record for the patient
-      let medicalRecord = await MedicalRecord.findOne({ patient: invitation.patient });
-      
-      if (!medicalRecord) {
-        medicalRecord = new MedicalRecord({
-          patient: invitation.patient,
-          appointments: [],
-          prescriptions: [],
-          diseases: [],
-          diagnostics: [],
-          comments: []
-        });
-        await medicalRecord.save();
-      }
-      
       // Add appointment to medical record
-      medicalRecord.appointments.push({
+      await ensureMedicalRecord(invitation.patient);
+      await Appointment.create({
+        patient: invitation.patient,
         doctor: req.user.userId,
         date: invitation.appointmentDate,
         reason: invitation.reason
       });
-      await medicalRecord.save();
       
       // Notify patient
       await createNotification({
@@ -1,13 +1,139 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
 const emailService = require('../services/emailService');
+const totpService = require('../services/totpService');
+const { isEmailTaken, requestEmailChange, confirmEmailChange, cancelEmailChange } = require('../services/emailChangeService');
+const {
+  GRACE_PERIOD_DAYS,
+  softDeleteUser,
+  restoreUser,
+  canRestoreByLogin,
+  exportUserData
+} = require('../services/accountDeletionService');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../services/tokenService');
+const { listImpersonationsOf } = require('../services/impersonationService');
 const { authMiddleware, receptionMiddleware } = require('../middleware/auth');
+const { rateLimit, byIp, byEmail, byUser } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Staff accounts (admins, reception agents) are created by admins only
+const SELF_REGISTRATION_ROLES = ['Patient', 'Doctor'];
+const MAX_VERIFICATION_ATTEMPTS = 5;
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Brute-force and email-bombing limits
+const loginIpLimiter = rateLimit({ name: 'login-ip', windowMs: FIFTEEN_MINUTES, max: 30 });
+const loginAccountLimiter = rateLimit({ name: 'login-account', windowMs: FIFTEEN_MINUTES, max: 10, key: byEmail });
+const codeIpLimiter = rateLimit({ name: 'code-ip', windowMs: FIFTEEN_MINUTES, max: 30 });
+const verifyAccountLimiter = rateLimit({ name: 'verify-account', windowMs: FIFTEEN_MINUTES, max: 10, key: byEmail });
+const emailIpLimiter = rateLimit({
+  name: 'email-ip',
+  windowMs: ONE_HOUR,
+  max: 10,
+  message: 'Too many emails requested. Please try again later.'
+});
+const emailAccountLimiter = rateLimit({
+  name: 'email-account',
+  windowMs: ONE_HOUR,
+  max: 3,
+  key: byEmail,
+  message: 'Too many emails requested for this address. Please try again later.'
+});
+const refreshLimiter = rateLimit({ name: 'refresh-ip', windowMs: FIFTEEN_MINUTES, max: 60 });
+const sensitiveActionLimiter = rateLimit({ name: 'sensitive-action', windowMs: FIFTEEN_MINUTES, max: 10, key: byUser });
+
+// Response body shared by every route that starts a session
+function sessionResponse(message, user, { token, refreshToken }) {
+  return {
+    message,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      familyName: user.familyName,
+      email: user.email,
+      role: user.role
+    }
+  };
+}
+
+// Start a session after a successful login. Logging in to an account the user
+// deleted themselves, while still in the grace period, restores it.
+async function loginUser(user, req) {
+  const accountRestored = !!user.deletedAt;
+  if (accountRestored) {
+    await restoreUser(user);
+  }
+
+  const tokens = await createSession(user, req);
+  return { ...tokens, accountRestored };
+}
+
+// Suspended and deactivated accounts cannot sign in
+function inactiveAccountResponse(res, user) {
+  return res.status(403).json({
+    message: `Your account has been ${user.status}`,
+    accountStatus: user.status,
+    reason: user.statusReason
+  });
+}
+
+function loginMessage(tokens) {
+  return tokens.accountRestored ? 'Welcome back! Your account has been restored.' : 'Login successful';
+}
+
+// The second login step, when one is needed before a session can start:
+// a TOTP code if 2FA is enabled, or 2FA setup when the user's role requires it
+async function twoFactorChallenge(user) {
+  if (user.twoFactor?.enabled) {
+    return {
+      message: 'Two-factor authentication code required',
+      requiresTwoFactor: true,
+      challengeToken: signChallengeToken(user, 'two_factor_login')
+    };
+  }
+
+  const settings = await SecuritySettings.getCurrent();
+  if (settings.twoFactorRequiredRoles.includes(user.role)) {
+    return {
+      message: 'Two-factor authentication must be set up before you can log in',
+      requiresTwoFactorSetup: true,
+      challengeToken: signChallengeToken(user, 'two_factor_setup')
+    };
+  }
+
+  return null;
+}
+
+// 2FA enrollment works while signed in, or mid-login with a setup challenge
+// when the user's role requires 2FA and it isn't enabled yet
+const twoFactorEnrollmentAuth = (req, res, next) => {
+  if (req.body.challengeToken) {
+    const challenge = verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+    req.user = { userId: challenge.userId };
+    req.isSetupChallenge = true;
+    return next();
+  }
+  return authMiddleware(req, res, next);
+};
+
 // Register route
-router.post('/register', async (req, res) => {
+router.post('/register', emailIpLimiter, emailAccountLimiter, async (req, res) => {
   try {
     const { name, familyName, email, password, confirmPassword, role, speciality } = req.body;
 
@@ -16,6 +142,12 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
+    if (!SELF_REGISTRATION_ROLES.includes(role)) {
+      return res.status(403).json({
+        message: 'Only patients and doctors can register. Staff accounts are created by an administrator.'
+      });
+    }
+
     if (role === 'Doctor' && !speciality) {
       return res.status(400).json({ message: 'Speciality is required for doctors' });
     }
@@ -38,6 +170,7 @@ router.post('/register', async (req, res) => {
         const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
         existingUser.verificationCode = verificationCode;
         existingUser.verificationCodeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        existingUser.verificationAttempts = 0;
         await existingUser.save();
 
         // Send verification email
@@ -65,6 +198,8 @@ router.post('/register', async (req, res) => {
       password,
       role,
       speciality,
+      // New doctors wait for an admin to review their credentials
+      doctorApproval: role === 'Doctor' ? { status: 'pending' } : undefined,
       isVerified: false,
       verificationCode: verificationCode,
       verificationCodeExpires: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
@@ -91,7 +226,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login route
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginAccountLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -104,6 +239,21 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (user.requiresActivation) {
+      return res.status(400).json({
+        message: 'This account has not been activated yet. Use the activation link sent to your email.',
+        requiresActivation: true,
+        email: user.email
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        message: 'Account temporarily locked after too many failed attempts. Please try again later.',
+        lockedUntil: user.lockUntil
+      });
+    }
+
     // Check if user is verified
     if (!user.isVerified) {
       return res.status(400).json({
@@ -115,25 +265,84 @@ router.post('/login', async (req, res) => {
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      user.registerFailedLogin();
+      await user.save();
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    user.resetLoginFailures();
+    await user.save();
+
+    if (user.deletedAt && !canRestoreByLogin(user)) {
+      return res.status(403).json({ message: 'This account has been deleted by an administrator' });
+    }
+
+    if (!user.isActive()) {
+      return inactiveAccountResponse(res, user);
+    }
+
+    // Second step: the password was right, now a TOTP code (or 2FA setup) is needed
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    const tokens = await loginUser(user, req);
+    res.json({ ...sessionResponse(loginMessage(tokens), user, tokens), accountRestored: tokens.accountRestored });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Login step two: exchange the challenge and a TOTP or recovery code for tokens
+router.post('/login/2fa', codeIpLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a code are required' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, 'two_factor_login');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    const user = await User.findById(challenge.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        message: 'Account temporarily locked after too many failed attempts. Please try again later.',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const codeValid = await totpService.checkSecondFactor(user, { code, recoveryCode });
+    if (!codeValid) {
+      user.registerFailedLogin();
+      await user.save();
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    user.resetLoginFailures();
+    await user.save();
+
+    // The account may have been disabled since the password step
+    if (!user.isActive()) {
+      return inactiveAccountResponse(res, user);
+    }
 
+    const tokens = await loginUser(user, req);
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        familyName: user.familyName,
-        email: user.email,
-        role: user.role
-      }
+      ...sessionResponse(loginMessage(tokens), user, tokens),
+      accountRestored: tokens.accountRestored,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
     });
 
   } catch (error) {
@@ -142,8 +351,92 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Activate an account created by staff by choosing a password
+router.post('/activate', codeIpLimiter, async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({ message: 'Token and password fields are required' });
+    }
+
+    if (typeof token !== 'string') {
+      return res.status(400).json({ message: 'Invalid or expired activation link' });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ message: 'Passwords do not match' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await User.findOne({
+      activationToken: User.hashToken(token),
+      activationExpires: { $gt: new Date() },
+      requiresActivation: true
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired activation link' });
+    }
+
+    // Setting the password clears the activation token (pre-save hook)
+    user.password = password;
+    user.isVerified = true;
+    await user.save();
+
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    const tokens = await createSession(user, req);
+    res.json(sessionResponse('Account activated successfully', user, tokens));
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a new activation link (e.g. patients registered in person)
+router.post('/activation/request', emailIpLimiter, emailAccountLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const genericResponse = {
+      message: 'If this account is waiting for activation, an activation link has been sent.'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.requiresActivation || user.activationRevokedAt) {
+      return res.json(genericResponse);
+    }
+
+    const activationToken = user.createActivationToken();
+    await user.save();
+
+    const emailResult = await emailService.sendActivationEmail(user.email, activationToken, user.name);
+    if (!emailResult.success) {
+      console.error('Activation email failed:', emailResult.error);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Email verification route
-router.post('/verify', async (req, res) => {
+router.post('/verify', codeIpLimiter, verifyAccountLimiter, async (req, res) => {
   try {
     const { email, verificationCode } = req.body;
 
@@ -153,11 +446,26 @@ router.post('/verify', async (req, res) => {
 
     const user = await User.findOne({
       email,
-      verificationCode,
       verificationCodeExpires: { $gt: new Date() }
     });
 
-    if (!user) {
+    if (!user || !user.verificationCode) {
+      return res.status(400).json({ message: 'Invalid or expired verification code' });
+    }
+
+    if (user.verificationCode !== String(verificationCode)) {
+      // Too many wrong guesses burn the code; a new one must be requested
+      user.verificationAttempts += 1;
+      if (user.verificationAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+        user.verificationCode = undefined;
+        user.verificationCodeExpires = undefined;
+        user.verificationAttempts = 0;
+        await user.save();
+        return res.status(400).json({
+          message: 'Too many incorrect attempts. Please request a new verification code.'
+        });
+      }
+      await user.save();
       return res.status(400).json({ message: 'Invalid or expired verification code' });
     }
 
@@ -165,26 +473,17 @@ router.post('/verify', async (req, res) => {
     user.isVerified = true;
     user.verificationCode = undefined;
     user.verificationCodeExpires = undefined;
+    user.verificationAttempts = 0;
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a session for the newly verified user, once past any second step
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
 
-    res.json({
-      message: 'Email verified successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        familyName: user.familyName,
-        email: user.email,
-        role: user.role
-      }
-    });
+    const tokens = await createSession(user, req);
+    res.json(sessionResponse('Email verified successfully', user, tokens));
 
   } catch (error) {
     console.error(error);
@@ -193,7 +492,7 @@ router.post('/verify', async (req, res) => {
 });
 
 // Resend verification code route
-router.post('/resend-verification', async (req, res) => {
+router.post('/resend-verification', emailIpLimiter, emailAccountLimiter, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -214,6 +513,7 @@ router.post('/resend-verification', async (req, res) => {
     const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
     user.verificationCode = verificationCode;
     user.verificationCodeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.verificationAttempts = 0;
     await user.save();
 
     // Send verification email
@@ -231,6 +531,337 @@ router.post('/resend-verification', async (req, res) => {
   }
 });
 
+// Refresh token route
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout route (protected) - revokes the current session
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions (protected)
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId, req.user.sid);
+    res.json(sessions);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Times an admin viewed the app as this user, with every request they made (protected)
+router.get('/impersonations', authMiddleware, async (req, res) => {
+  try {
+    const impersonations = await listImpersonationsOf(req.user.userId);
+    res.json(impersonations);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out everywhere except the current device (protected)
+router.post('/sessions/revoke-others', authMiddleware, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.userId, 'signed_out_elsewhere', req.user.sid);
+    res.json({ message: 'Signed out of all other devices', revokedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out a single device (protected)
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.sessionId, 'signed_out_by_user', req.user.userId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start 2FA enrollment: generate a secret and provisioning URI
+router.post('/2fa/setup', codeIpLimiter, twoFactorEnrollmentAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totpService.buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm 2FA enrollment with a first code; returns the recovery codes once
+router.post('/2fa/enable', codeIpLimiter, twoFactorEnrollmentAuth, sensitiveActionLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totpService.verifyCode(user.twoFactor.pendingSecret, String(code).trim());
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    };
+
+    // Enrolling mid-login completes the login
+    if (req.isSetupChallenge) {
+      if (!user.isActive()) {
+        return inactiveAccountResponse(res, user);
+      }
+      const tokens = await loginUser(user, req);
+      return res.json({
+        ...sessionResponse(response.message, user, tokens),
+        accountRestored: tokens.accountRestored,
+        recoveryCodes: codes
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable 2FA (protected)
+router.post('/2fa/disable', authMiddleware, sensitiveActionLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and an authentication code are required' });
+    }
+
+    const user = await User.findById(req.user.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const settings = await SecuritySettings.getCurrent();
+    if (settings.twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    // Only spend the code once the password is known to be right
+    const codeValid = isPasswordValid && await totpService.checkSecondFactor(user, { code, recoveryCode });
+    if (!codeValid) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace recovery codes (protected)
+router.post('/2fa/recovery-codes', authMiddleware, sensitiveActionLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await User.findById(req.user.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const codeValid = await totpService.checkSecondFactor(user, { code });
+    if (!codeValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forgot password route
+router.post('/forgot-password', emailIpLimiter, emailAccountLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = {
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    // Accounts awaiting activation use the activation flow instead
+    const user = await User.findOne({ email });
+    if (!user || user.requiresActivation) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const emailResult = await emailService.sendPasswordResetEmail(user.email, resetToken, user.name);
+    if (!emailResult.success) {
+      console.error('Password reset email failed:', emailResult.error);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password route
+router.post('/reset-password', codeIpLimiter, async (req, res) => {
+  try {
+    const { token, newPassword, confirmNewPassword } = req.body;
+
+    if (!token || !newPassword || !confirmNewPassword) {
+      return res.status(400).json({ message: 'Token and new password fields are required' });
+    }
+
+    if (typeof token !== 'string') {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    if (newPassword !== confirmNewPassword) {
+      return res.status(400).json({ message: 'New passwords do not match' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Update password (hashed by pre-save hook, which also invalidates existing tokens)
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Profile route (protected)
 router.get('/profile', authMiddleware, async (req, res) => {
   try {
@@ -274,24 +905,29 @@ router.put('/profile', authMiddleware, async (req, res) => {
       user.speciality = speciality;
     }
 
-    // Email change validation
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
+    // Email changes only take effect once the new address is confirmed
+    const newEmail = email ? email.trim().toLowerCase() : null;
+    const emailChangeRequested = !!newEmail && newEmail !== user.email;
+    if (emailChangeRequested) {
+      if (await isEmailTaken(newEmail, user._id)) {
         return res.status(400).json({ message: 'Email already in use' });
       }
-      user.email = email;
+      await requestEmailChange(user, newEmail);
+    } else {
+      await user.save();
     }
 
-    await user.save();
-
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChangeRequested
+        ? 'Profile updated. Enter the code sent to your new email address to confirm the change.'
+        : 'Profile updated successfully',
+      emailChangePending: emailChangeRequested,
       user: {
         id: user._id,
         name: user.name,
         familyName: user.familyName,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         role: user.role,
         speciality: user.speciality,
         isVerified: user.isVerified,
@@ -304,8 +940,89 @@ router.put('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// Confirm a pending email change with the code sent to the new address (protected)
+router.post('/email/confirm', authMiddleware, sensitiveActionLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Confirmation code is required' });
+    }
+
+    const result = await confirmEmailChange(req.user.userId, code);
+
+    if (result === 'expired') {
+      return res.status(400).json({ message: 'No pending email change, or the code has expired' });
+    }
+    if (result === 'too_many_attempts') {
+      return res.status(400).json({ message: 'Too many incorrect attempts. Please request the change again.' });
+    }
+    if (result === 'taken') {
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+    if (result === 'invalid') {
+      return res.status(400).json({ message: 'Invalid confirmation code' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    res.json({
+      message: 'Email address changed successfully',
+      email: user.email
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend the confirmation code for a pending email change (protected)
+router.post('/email/resend', authMiddleware, emailIpLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: 'No pending email change' });
+    }
+
+    const sent = await requestEmailChange(user, user.pendingEmail);
+    if (!sent) {
+      return res.status(500).json({ message: 'Failed to send confirmation email' });
+    }
+
+    res.json({ message: 'Confirmation code sent to your new email address' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an email change from the security notice sent to the old address
+router.post('/email/cancel', codeIpLimiter, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const result = await cancelEmailChange(token);
+    if (!result) {
+      return res.status(400).json({ message: 'Invalid or expired link' });
+    }
+
+    res.json({
+      message: result.reverted
+        ? 'The email change was reversed and all sessions were signed out. Please reset your password.'
+        : 'The email change was cancelled',
+      reverted: result.reverted
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Change password (protected)
-router.put('/change-password', authMiddleware, async (req, res) => {
+router.put('/change-password', authMiddleware, sensitiveActionLimiter, async (req, res) => {
   try {
     const { currentPassword, newPassword, confirmNewPassword } = req.body;
 
@@ -336,7 +1053,23 @@ router.put('/change-password', authMiddleware, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every device, including this one
+    await revokeAllSessions(user._id, 'password_changed');
+
+    res.json({ message: 'Password changed successfully. Please log in again.' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export all of the user's data (protected)
+router.get('/account/export', authMiddleware, sensitiveActionLimiter, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.userId);
+
+    res.set('Content-Disposition', 'attachment; filename="medflow-account-export.json"');
+    res.json(data);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -365,10 +1098,13 @@ router.delete('/account', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Password is incorrect' });
     }
 
-    // Delete the user
-    await User.findByIdAndDelete(req.user.userId);
+    // Soft delete: logging in again before purgeAfter restores the account
+    await softDeleteUser(user, user._id);
 
-    res.json({ message: 'Account deleted successfully' });
+    res.json({
+      message: `Account deleted. You can restore it by logging in within ${GRACE_PERIOD_DAYS} days.`,
+      purgeAfter: user.purgeAfter
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -376,18 +1112,15 @@ router.delete('/account', authMiddleware, async (req, res) => {
 });
 
 
-// Reception Agent: Add new patient (no verification required)
+// Reception Agent: Add new patient (no verification required).
+// The patient chooses their own password through an activation link.
 router.post('/add-patient', authMiddleware, receptionMiddleware, async (req, res) => {
   try {
-    const { name, familyName, email, password } = req.body;
+    const { name, familyName, email, sendActivationEmail = true } = req.body;
 
     // Validation
-    if (!name || !familyName || !email || !password) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    if (!name || !familyName || !email) {
+      return res.status(400).json({ message: 'Name, family name and email are required' });
     }
 
     // Check if user already exists
@@ -401,15 +1134,29 @@ router.post('/add-patient', authMiddleware, receptionMiddleware, async (req, res
       name,
       familyName,
       email,
-      password,
       role: 'Patient',
       isVerified: true, // Pre-verified by reception
+      requiresActivation: true
     });
 
-    await user.save();
+    // Patients registered in person can also request the link themselves later
+    let activationEmailSent = false;
+    if (sendActivationEmail) {
+      const activationToken = user.createActivationToken();
+      await user.save();
+
+      const emailResult = await emailService.sendActivationEmail(user.email, activationToken, user.name);
+      activationEmailSent = emailResult.success;
+      if (!emailResult.success) {
+        console.error('Activation email failed:', emailResult.error);
+      }
+    } else {
+      await user.save();
+    }
 
     res.status(201).json({
       message: 'Patient added successfully',
+      activationEmailSent,
       patient: {
         id: user._id,
         name: user.name,
@@ -425,4 +1172,59 @@ router.post('/add-patient', authMiddleware, receptionMiddleware, async (req, res
   }
 });
 
+// Reception Agent: Send (or resend) a patient's activation link
+router.post('/patients/:patientId/activation', authMiddleware, receptionMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.patientId, role: 'Patient' });
+    if (!user) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (!user.requiresActivation) {
+      return res.status(400).json({ message: 'This account is already activated' });
+    }
+
+    const activationToken = user.createActivationToken();
+    await user.save();
+
+    const emailResult = await emailService.sendActivationEmail(user.email, activationToken, user.name);
+    if (!emailResult.success) {
+      console.error('Activation email failed:', emailResult.error);
+      return res.status(500).json({ message: 'Failed to send activation email' });
+    }
+
+    res.json({ message: 'Activation email sent', activationExpires: user.activationExpires });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reception Agent: Revoke a patient's outstanding activation link
+router.delete('/patients/:patientId/activation', authMiddleware, receptionMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.patientId, role: 'Patient' });
+    if (!user) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (!user.requiresActivation) {
+      return res.status(400).json({ message: 'This account is already activated' });
+    }
+
+    // Also blocks self-service requests until reception sends a new link
+    user.activationToken = undefined;
+    user.activationExpires = undefined;
+    user.activationRevokedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Activation link revoked' });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -2,26 +2,159 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const DoctorRequest = require('../models/DoctorRequest');
-const MedicalRecord = require('../models/MedicalRecord');
-const { authMiddleware } = require('../middleware/auth');
-const { notifyDoctorRequest, notifyRequestAccepted, notifyRequestRejected } = require('../services/notificationService');
-
-// Middleware to check if user is a doctor
-const doctorMiddleware = (req, res, next) => {
-  if (req.user.role !== 'Doctor') {
-    return res.status(403).json({ message: 'Access denied. Doctor role required.' });
+const AppointmentInvitation = require('../models/AppointmentInvitation');
+const DoctorCredentialDocument = require('../models/DoctorCredentialDocument');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const Disease = require('../models/Disease');
+const Comment = require('../models/Comment');
+const Diagnostic = require('../models/Diagnostic');
+const { authMiddleware, approvedDoctorMiddleware } = require('../middleware/auth');
+const { requireRole } = require('../services/accessPolicy');
+const { parseUserQuery, paginate, setPaginationHeaders } = require('../services/userQueryService');
+const { notifyDoctorRequest, notifyRequestAccepted, notifyRequestRejected, notifyRequestRevoked } = require('../services/notificationService');
+const { auditTrail, snapshot } = require('../services/auditService');
+const { parseGrantScope } = require('../services/consentService');
+const { ensureMedicalRecord } = require('../services/medicalRecordService');
+
+const CREDENTIAL_MIME_TYPES = DoctorCredentialDocument.schema.path('mimeType').enumValues;
+const MAX_CREDENTIAL_DOCUMENTS = 5;
+
+// Get own credential review status and uploaded documents
+router.get('/credentials', authMiddleware, auditTrail('read', 'doctor_credentials'), requireRole('Doctor'), async (req, res) => {
+  try {
+    const doctor = await User.findById(req.user.userId).select('doctorApproval');
+    const documents = await DoctorCredentialDocument.find({ doctor: req.user.userId })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      approval: doctor.doctorApproval,
+      documents
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Submit licence number for review
+router.put('/credentials', authMiddleware, auditTrail('update', 'doctor_credentials'), requireRole('Doctor'), async (req, res) => {
+  try {
+    const { licenseNumber } = req.body;
+
+    if (!licenseNumber || !licenseNumber.trim()) {
+      return res.status(400).json({ message: 'Licence number is required' });
+    }
+
+    const doctor = await User.findById(req.user.userId);
+    if (doctor.isApprovedDoctor()) {
+      return res.status(400).json({ message: 'Your credentials are already approved' });
+    }
+
+    const before = snapshot(doctor.doctorApproval);
+    
+    // Resubmitting after a rejection puts the doctor back in the queue
+    doctor.doctorApproval.licenseNumber = licenseNumber;
+    doctor.doctorApproval.status = 'pending';
+    doctor.doctorApproval.submittedAt = new Date();
+    doctor.doctorApproval.rejectionReason = undefined;
+    await doctor.save();
+    res.locals.audit = { entryId: doctor._id, before, after: snapshot(doctor.doctorApproval) };
+
+    res.json({
+      message: 'Credentials submitted for review',
+      approval: doctor.doctorApproval
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-  next();
-};
+});
+
+// Upload a supporting document (raw PDF/PNG/JPEG body, ?filename=...)
+router.post(
+  '/credentials/documents',
+  authMiddleware,
+  auditTrail('create', 'credential_document'),
+  requireRole('Doctor'),
+  express.raw({ type: CREDENTIAL_MIME_TYPES, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const { filename } = req.query;
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Upload a PDF, PNG or JPEG file as the request body' });
+      }
+
+      if (!filename) {
+        return res.status(400).json({ message: 'Filename is required' });
+      }
+
+      const doctor = await User.findById(req.user.userId).select('doctorApproval');
+      if (doctor.isApprovedDoctor()) {
+        return res.status(400).json({ message: 'Your credentials are already approved' });
+      }
+
+      const documentCount = await DoctorCredentialDocument.countDocuments({ doctor: req.user.userId });
+      if (documentCount >= MAX_CREDENTIAL_DOCUMENTS) {
+        return res.status(400).json({ message: `You can upload at most ${MAX_CREDENTIAL_DOCUMENTS} documents` });
+      }
+
+      const document = new DoctorCredentialDocument({
+        doctor: req.user.userId,
+        filename,
+        mimeType: req.get('Content-Type').split(';')[0].trim(),
+        size: req.body.length,
+        data: req.body
+      });
+      await document.save();
+      res.locals.audit = { entryId: document._id, after: { filename, mimeType: document.mimeType, size: document.size } };
+
+      res.status(201).json({
+        message: 'Document uploaded successfully',
+        document: {
+          _id: document._id,
+          filename: document.filename,
+          mimeType: document.mimeType,
+          size: document.size,
+          createdAt: document.createdAt
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
+
+// Remove a supporting document before approval
+router.delete('/credentials/documents/:documentId', authMiddleware, auditTrail('delete', 'credential_document'), requireRole('Doctor'), async (req, res) => {
+  try {
+    const doctor = await User.findById(req.user.userId).select('doctorApproval');
+    if (doctor.isApprovedDoctor()) {
+      return res.status(400).json({ message: 'Documents of approved credentials cannot be removed' });
+    }
+
+    const document = await DoctorCredentialDocument.findOneAndDelete({
+      _id: req.params.documentId,
+      doctor: req.user.userId
+    });
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.locals.audit = { before: { filename: document.filename, mimeType: document.mimeType, size: document.size } };
+    res.json({ message: 'Document removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
 // Get doctor statistics
-router.get('/statistics', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/statistics', authMiddleware, auditTrail('read', 'doctor_statistics'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
     // Get total patients
-    const totalPatients = await DoctorRequest.countDocuments({
-      doctor: req.user.userId,
-      status: 'accepted'
-    });
+    const totalPatients = await DoctorRequest.countDocuments(DoctorRequest.activeFilter({
+      doctor: req.user.userId
+    }));
 
     // Get pending requests
     const pendingRequests = await DoctorRequest.countDocuments({
@@ -30,61 +163,48 @@ router.get('/statistics', authMiddleware, doctorMiddleware, async (req, res) =>
     });
 
     // Get all accepted patient IDs
-    const acceptedRequests = await DoctorRequest.find({
-      doctor: req.user.userId,
-      status: 'accepted'
-    }).select('patient');
+    const acceptedRequests = await DoctorRequest.find(DoctorRequest.activeFilter({
+      doctor: req.user.userId
+    })).select('patient');
 
     const patientIds = acceptedRequests.map(req => req.patient);
 
-    // Get medical records for these patients
-    const medicalRecords = await MedicalRecord.find({
-      patient: { $in: patientIds }
-    });
+    // Count the entries this doctor wrote for these patients, leaving out retractions
+    const ownEntries = { doctor: req.user.userId, patient: { $in: patientIds }, retractedAt: null };
+    const [
+      totalAppointments,
+      totalPrescriptions,
+      totalDiseases,
+      totalDiagnostics,
+      totalComments,
+      doctorAppointments
+    ] = await Promise.all([
+      Appointment.countDocuments(ownEntries),
+      Prescription.countDocuments(ownEntries),
+      Disease.countDocuments(ownEntries),
+      Diagnostic.countDocuments(ownEntries),
+      Comment.countDocuments(ownEntries),
+      Appointment.find(ownEntries).select('date reason patient createdAt')
+    ]);
 
-    // Calculate statistics
-    let totalAppointments = 0;
-    let totalPrescriptions = 0;
-    let totalDiseases = 0;
-    let totalDiagnostics = 0;
-    let totalComments = 0;
     let recentAppointments = [];
     let appointmentsByMonth = {};
 
-    const now = new Date();
-    const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    medicalRecords.forEach(record => {
-      // Count entries by this doctor
-      const doctorAppointments = record.appointments.filter(a => a.doctor.toString() === req.user.userId);
-      const doctorPrescriptions = record.prescriptions.filter(p => p.doctor.toString() === req.user.userId);
-      const doctorDiseases = record.diseases.filter(d => d.doctor.toString() === req.user.userId);
-      const doctorDiagnostics = record.diagnostics.filter(d => d.doctor.toString() === req.user.userId);
-      const doctorComments = record.comments.filter(c => c.doctor.toString() === req.user.userId);
-
-      totalAppointments += doctorAppointments.length;
-      totalPrescriptions += doctorPrescriptions.length;
-      totalDiseases += doctorDiseases.length;
-      totalDiagnostics += doctorDiagnostics.length;
-      totalComments += doctorComments.length;
-
-      // Recent appointments (last 5)
-      doctorAppointments.forEach(appointment => {
-        recentAppointments.push({
-          date: appointment.date,
-          reason: appointment.reason,
-          patientId: record.patient,
-          createdAt: appointment.createdAt
-        });
+    // Recent appointments (last 5)
+    doctorAppointments.forEach(appointment => {
+      recentAppointments.push({
+        date: appointment.date,
+        reason: appointment.reason,
+        patientId: appointment.patient,
+        createdAt: appointment.createdAt
       });
+    });
 
-      // Appointments by month (last 6 months)
-      doctorAppointments.forEach(appointment => {
-        const date = new Date(appointment.date);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        appointmentsByMonth[monthKey] = (appointmentsByMonth[monthKey] || 0) + 1;
-      });
+    // Appointments by month (last 6 months)
+    doctorAppointments.forEach(appointment => {
+      const date = new Date(appointment.date);
+      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      appointmentsByMonth[monthKey] = (appointmentsByMonth[monthKey] || 0) + 1;
     });
 
     // Sort and limit recent appointments
@@ -127,15 +247,22 @@ router.get('/statistics', authMiddleware, doctorMiddleware, async (req, res) =>
 });
 
 // Get all patients (for doctors to send requests)
-router.get('/patients/all', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/patients/all', authMiddleware, auditTrail('list', 'patient'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    const patients = await User.find({ role: 'Patient' })
-      .select('name familyName email')
-      .sort({ name: 1 });
+    const query = parseUserQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    
+    const { items: patients, pagination } = await paginate(User, { ...query.filter, role: 'Patient', deletedAt: null }, {
+      ...query,
+      select: 'name familyName email'
+    });
     
-    // Get existing requests from this doctor
+    // Get existing requests from this doctor for the patients on this page
     const existingRequests = await DoctorRequest.find({ 
-      doctor: req.user.userId 
+      doctor: req.user.userId,
+      patient: { $in: patients.map(patient => patient._id) }
     }).select('patient status');
     
     const requestMap = {};
@@ -151,6 +278,7 @@ router.get('/patients/all', authMiddleware, doctorMiddleware, async (req, res) =
       requestStatus: requestMap[patient._id.toString()] || 'none'
     }));
     
+    setPaginationHeaders(req, res, pagination);
     res.json(patientsWithStatus);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -158,7 +286,7 @@ router.get('/patients/all', authMiddleware, doctorMiddleware, async (req, res) =
 });
 
 // Send doctor request to patient
-router.post('/request/send', authMiddleware, doctorMiddleware, async (req, res) => {
+router.post('/request/send', authMiddleware, auditTrail('create', 'doctor_request'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
     const { patientId } = req.body;
     
@@ -167,7 +295,7 @@ router.post('/request/send', authMiddleware, doctorMiddleware, async (req, res)
     }
     
     // Check if patient exists
-    const patient = await User.findOne({ _id: patientId, role: 'Patient' });
+    const patient = await User.findOne({ _id: patientId, role: 'Patient', deletedAt: null });
     if (!patient) {
       return res.status(404).json({ message: 'Patient not found' });
     }
@@ -179,10 +307,12 @@ router.post('/request/send', authMiddleware, doctorMiddleware, async (req, res)
     });
     
     if (existingRequest) {
-      // Allow resending if rejected
-      if (existingRequest.status === 'rejected') {
-        existingRequest.status = 'pending';
+      // Allow resending if rejected, revoked or expired; the patient has to accept again
+      if (['rejected', 'revoked'].includes(existingRequest.status) || existingRequest.isExpired()) {
+        const previousStatus = existingRequest.status;
+        existingRequest.setStatus('pending', req.user.userId);
         await existingRequest.save();
+        res.locals.audit = { patient: patientId, entryId: existingRequest._id, before: { status: previousStatus }, after: { status: 'pending' } };
         
         // Send notification
         const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -206,6 +336,7 @@ router.post('/request/send', authMiddleware, doctorMiddleware, async (req, res)
     });
     
     await doctorRequest.save();
+    res.locals.audit = { patient: patientId, entryId: doctorRequest._id, after: snapshot(doctorRequest) };
     
     // Get doctor info and send notification
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -221,14 +352,18 @@ router.post('/request/send', authMiddleware, doctorMiddleware, async (req, res)
 });
 
 // Get doctor's patients (accepted requests)
-router.get('/patients/my-patients', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/patients/my-patients', authMiddleware, auditTrail('list', 'patient'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    const acceptedRequests = await DoctorRequest.find({
-      doctor: req.user.userId,
-      status: 'accepted'
-    }).populate('patient', 'name familyName email');
+    const acceptedRequests = await DoctorRequest.find(DoctorRequest.activeFilter({
+      doctor: req.user.userId
+    })).populate('patient', 'name familyName email');
     
-    const patients = acceptedRequests.map(request => request.patient);
+    // Patients with scoped or time-limited consent carry its terms
+    const patients = acceptedRequests.map(request => ({
+      ...request.patient.toObject(),
+      sharedSections: request.getSharedSections(),
+      accessExpiresAt: request.accessExpiresAt
+    }));
     
     res.json(patients);
   } catch (error) {
@@ -237,17 +372,14 @@ router.get('/patients/my-patients', authMiddleware, doctorMiddleware, async (req
 });
 
 // Get pending doctor requests (for patients)
-router.get('/requests/pending', authMiddleware, async (req, res) => {
+router.get('/requests/pending', authMiddleware, auditTrail('list', 'doctor_request'), requireRole('Patient'), async (req, res) => {
   try {
-    if (req.user.role !== 'Patient') {
-      return res.status(403).json({ message: 'Only patients can view requests' });
-    }
-    
     const pendingRequests = await DoctorRequest.find({
       patient: req.user.userId,
       status: 'pending'
     }).populate('doctor', 'name familyName email speciality');
     
+    res.locals.audit = { patient: req.user.userId };
     res.json(pendingRequests);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -255,18 +387,15 @@ router.get('/requests/pending', authMiddleware, async (req, res) => {
 });
 
 // Get all doctor requests with status (for patients)
-router.get('/requests/all', authMiddleware, async (req, res) => {
+router.get('/requests/all', authMiddleware, auditTrail('list', 'doctor_request'), requireRole('Patient'), async (req, res) => {
   try {
-    if (req.user.role !== 'Patient') {
-      return res.status(403).json({ message: 'Only patients can view requests' });
-    }
-    
     const requests = await DoctorRequest.find({
       patient: req.user.userId
     })
     .populate('doctor', 'name familyName email speciality')
     .sort({ createdAt: -1 });
     
+    res.locals.audit = { patient: req.user.userId };
     res.json(requests);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -274,12 +403,8 @@ router.get('/requests/all', authMiddleware, async (req, res) => {
 });
 
 // Accept/reject doctor request
-router.put('/request/:requestId', authMiddleware, async (req, res) => {
+router.put('/request/:requestId', authMiddleware, auditTrail('respond', 'doctor_request'), requireRole('Patient'), async (req, res) => {
   try {
-    if (req.user.role !== 'Patient') {
-      return res.status(403).json({ message: 'Only patients can respond to requests' });
-    }
-    
     const { requestId } = req.params;
     const { status } = req.body;
     
@@ -287,6 +412,12 @@ router.put('/request/:requestId', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Invalid status' });
     }
     
+    // Optional consent terms: an expiry date and the sections to share
+    const scope = status === 'accepted' ? parseGrantScope(req.body) : {};
+    if (scope.error) {
+      return res.status(400).json({ message: scope.error });
+    }
+    
     const doctorRequest = await DoctorRequest.findOne({
       _id: requestId,
       patient: req.user.userId,
@@ -297,8 +428,21 @@ router.put('/request/:requestId', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Request not found or already processed' });
     }
     
-    doctorRequest.status = status;
+    doctorRequest.setStatus(status, req.user.userId);
+    if (status === 'accepted') {
+      doctorRequest.accessExpiresAt = scope.accessExpiresAt;
+      doctorRequest.sharedSections = scope.sharedSections;
+      doctorRequest.expiryWarningSentAt = undefined;
+    }
     await doctorRequest.save();
+    res.locals.audit = {
+      patient: req.user.userId,
+      entryId: doctorRequest._id,
+      before: { status: 'pending' },
+      after: status === 'accepted'
+        ? { status, accessExpiresAt: scope.accessExpiresAt, sharedSections: scope.sharedSections }
+        : { status }
+    };
     
     // Get patient info and send notification to doctor
     const patient = await User.findById(req.user.userId).select('name familyName');
@@ -308,18 +452,7 @@ router.put('/request/:requestId', authMiddleware, async (req, res) => {
       await notifyRequestAccepted(req.user.userId, doctorRequest.doctor, patientName);
       
       // Ensure medical record exists
-      let medicalRecord = await MedicalRecord.findOne({ patient: req.user.userId });
-      if (!medicalRecord) {
-        medicalRecord = new MedicalRecord({
-          patient: req.user.userId,
-          appointments: [],
-          prescriptions: [],
-          diseases: [],
-          comments: [],
-          diagnostics: []
-        });
-        await medicalRecord.save();
-      }
+      await ensureMedicalRecord(req.user.userId);
     } else if (status === 'rejected') {
       await notifyRequestRejected(req.user.userId, doctorRequest.doctor, patientName);
     }
@@ -333,4 +466,47 @@ router.put('/request/:requestId', authMiddleware, async (req, res) => {
   }
 });
 
+// Withdraw a doctor's access (for patients)
+// Access ends immediately for the doctor and their reception agents; the
+// request and its history are kept.
+router.delete('/requests/:requestId', authMiddleware, auditTrail('revoke', 'doctor_request'), requireRole('Patient'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    const doctorRequest = await DoctorRequest.findOne({
+      _id: req.params.requestId,
+      patient: req.user.userId,
+      status: 'accepted'
+    });
+    
+    if (!doctorRequest) {
+      return res.status(404).json({ message: 'No active access found for this request' });
+    }
+    
+    doctorRequest.setStatus('revoked', req.user.userId, reason);
+    await doctorRequest.save();
+    // Invitations sent before the revocation can no longer bring the doctor back
+    await AppointmentInvitation.updateMany(
+      { patient: req.user.userId, doctor: doctorRequest.doctor, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    res.locals.audit = {
+      patient: req.user.userId,
+      entryId: doctorRequest._id,
+      before: { status: 'accepted' },
+      after: { status: 'revoked', reason }
+    };
+    
+    const patient = await User.findById(req.user.userId).select('name familyName');
+    await notifyRequestRevoked(req.user.userId, doctorRequest.doctor, `${patient.name} ${patient.familyName}`);
+    
+    res.json({ 
+      message: 'Access revoked successfully',
+      request: doctorRequest
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
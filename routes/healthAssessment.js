@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const HealthAssessment = require('../models/HealthAssessment');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, approvedDoctorMiddleware } = require('../middleware/auth');
+const { requirePermission, requireRole } = require('../services/accessPolicy');
 const { calculateAllRisks } = require('../services/riskCalculationService');
+const { auditTrail, snapshot } = require('../services/auditService');
 
 // Check if patient has completed assessment
 router.get('/check', authMiddleware, async (req, res) => {
@@ -19,18 +21,15 @@ router.get('/check', authMiddleware, async (req, res) => {
 });
 
 // Get patient's health assessment
-router.get('/my-assessment', authMiddleware, async (req, res) => {
+router.get('/my-assessment', authMiddleware, auditTrail('read', 'health_assessment'), requireRole('Patient'), async (req, res) => {
   try {
-    if (req.user.role !== 'Patient') {
-      return res.status(403).json({ message: 'Only patients can view assessments' });
-    }
-    
     const assessment = await HealthAssessment.findOne({ patient: req.user.userId });
     
     if (!assessment) {
       return res.status(404).json({ message: 'Assessment not found' });
     }
     
+    res.locals.audit = { patient: req.user.userId, entryId: assessment._id };
     res.json(assessment);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -38,34 +37,17 @@ router.get('/my-assessment', authMiddleware, async (req, res) => {
 });
 
 // Get patient's assessment (for doctors)
-router.get('/patient/:patientId', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId', authMiddleware, auditTrail('read', 'health_assessment'), requireRole('Doctor', 'Reception Agent'), approvedDoctorMiddleware, requirePermission('assessment:read', req => ({ patientId: req.params.patientId, section: 'healthAssessment' })), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor' && req.user.role !== 'Reception Agent') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
     const { patientId } = req.params;
     
-    // Verify doctor has access to this patient
-    if (req.user.role === 'Doctor') {
-      const DoctorRequest = require('../models/DoctorRequest');
-      const access = await DoctorRequest.findOne({
-        doctor: req.user.userId,
-        patient: patientId,
-        status: 'accepted'
-      });
-      
-      if (!access) {
-        return res.status(403).json({ message: 'No access to this patient' });
-      }
-    }
-    
     const assessment = await HealthAssessment.findOne({ patient: patientId });
     
     if (!assessment) {
       return res.status(404).json({ message: 'Patient has not completed health assessment' });
     }
     
+    res.locals.audit = { entryId: assessment._id };
     res.json(assessment);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -73,12 +55,8 @@ router.get('/patient/:patientId', authMiddleware, async (req, res) => {
 });
 
 // Submit health assessment
-router.post('/submit', authMiddleware, async (req, res) => {
+router.post('/submit', authMiddleware, auditTrail('submit', 'health_assessment'), requireRole('Patient'), async (req, res) => {
   try {
-    if (req.user.role !== 'Patient') {
-      return res.status(403).json({ message: 'Only patients can submit assessments' });
-    }
-    
     const {
       age, gender, height, weight,
       hasDiabetes, hasHighBloodPressure, hasHeartDisease, hadStroke, hasHighCholesterol,
@@ -94,6 +72,7 @@ router.post('/submit', authMiddleware, async (req, res) => {
     
     // Check if assessment already exists
     let assessment = await HealthAssessment.findOne({ patient: req.user.userId });
+    const before = snapshot(assessment);
     
     const assessmentData = {
       patient: req.user.userId,
@@ -131,6 +110,7 @@ router.post('/submit', authMiddleware, async (req, res) => {
       await assessment.save();
     }
     
+    res.locals.audit = { patient: req.user.userId, entryId: assessment._id, before, after: snapshot(assessment) };
     res.status(201).json({
       message: 'Health assessment completed successfully',
       assessment,
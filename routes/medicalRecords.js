@@ -1,151 +1,319 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream');
+const QRCode = require('qrcode');
 const router = express.Router();
-const MedicalRecord = require('../models/MedicalRecord');
-const DoctorRequest = require('../models/DoctorRequest');
-const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const Disease = require('../models/Disease');
+const Comment = require('../models/Comment');
+const Diagnostic = require('../models/Diagnostic');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
-const { notifyMedicalRecordUpdate } = require('../services/notificationService');
+const DoctorRequest = require('../models/DoctorRequest');
+const { authMiddleware, approvedDoctorMiddleware } = require('../middleware/auth');
+const { checkAccess, requirePermission, requireRole } = require('../services/accessPolicy');
+const { notifyMedicalRecordUpdate, notifyRecordImported } = require('../services/notificationService');
+const { auditTrail, snapshot } = require('../services/auditService');
+const { getAccessLog } = require('../services/recordAccessService');
+const { parsePagination } = require('../services/userQueryService');
+const { DOCTOR_FIELDS, loadMedicalRecord, findEntry } = require('../services/medicalRecordService');
+const { CLINICAL_ENTRY_TYPES, recordCreation, saveRevision, retractEntry, getEntryHistory } = require('../services/entryRevisionService');
+const { buildBundle, parseBundle, mergeEntries } = require('../services/fhirService');
+const { renderMedicalRecordPdf, renderPrescriptionPdf } = require('../services/pdfService');
+const { ensureVerificationCode, qrPayload } = require('../services/prescriptionService');
+const { EMERGENCY_ACCESS_MINUTES, MIN_JUSTIFICATION_LENGTH, findActiveEmergencyAccess, startEmergencyAccess } = require('../services/emergencyAccessService');
+
+// Resource for a permission check on one section of the record
+const inSection = section => req => ({ patientId: req.params.patientId, section });
+
+// Stream a rendered PDF to the client. pipeline destroys both streams when
+// either fails, so a rendering error ends the response instead of leaving it open.
+function sendPdf(res, doc) {
+  pipeline(doc, res, error => {
+    // Client went away before the end; nothing left to send
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('PDF rendering failed:', error);
+    }
+  });
+}
 
 // Get patient's medical record
-router.get('/:patientId', authMiddleware, async (req, res) => {
+router.get('/:patientId', authMiddleware, auditTrail('read', 'medical_record'), approvedDoctorMiddleware, requirePermission('record:read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     
-    // Check access permissions
-    if (req.user.role === 'Patient') {
-      // Patients can only view their own records
-      if (patientId !== req.user.userId) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
-    } else if (req.user.role === 'Doctor') {
-      // Doctors can only view records of patients who accepted their request
-      const acceptedRequest = await DoctorRequest.findOne({
-        doctor: req.user.userId,
-        patient: patientId,
-        status: 'accepted'
-      });
-      
-      if (!acceptedRequest) {
-        return res.status(403).json({ message: 'Access denied. Patient has not accepted your request.' });
-      }
-    } else if (req.user.role === 'Reception Agent') {
-      // Reception agents can view records of patients belonging to their doctors
-      const acceptedInvitations = await DoctorReceptionAgent.find({
-        receptionAgent: req.user.userId,
-        status: 'accepted'
-      }).select('doctor');
-      
-      const doctorIds = acceptedInvitations.map(inv => inv.doctor);
-      
-      // Check if any of these doctors have access to this patient
-      const patientDoctorAccess = await DoctorRequest.findOne({
-        doctor: { $in: doctorIds },
-        patient: patientId,
-        status: 'accepted'
-      });
-      
-      if (!patientDoctorAccess) {
-        return res.status(403).json({ message: 'Access denied. This patient is not under any of your doctors.' });
-      }
-    } else {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId })
-      .populate('appointments.doctor', 'name familyName speciality')
-      .populate('prescriptions.doctor', 'name familyName speciality')
-      .populate('diseases.doctor', 'name familyName speciality')
-      .populate('comments.doctor', 'name familyName speciality')
-      .populate('diagnostics.doctor', 'name familyName speciality');
-    
-    if (!medicalRecord) {
-      // Create empty record if it doesn't exist
-      medicalRecord = new MedicalRecord({
-        patient: patientId,
-        appointments: [],
-        prescriptions: [],
-        diseases: [],
-        comments: [],
-        diagnostics: []
-      });
-      await medicalRecord.save();
-    }
+    // Only the sections the patient has shared with this doctor are loaded
+    const { sections, accessExpiresAt } = req.access;
+    const record = await loadMedicalRecord(patientId, sections);
     
-    res.json(medicalRecord);
+    res.locals.audit = { entryId: record._id };
+    res.json({
+      ...record,
+      sharedSections: sections,
+      accessExpiresAt,
+      ...(req.access.emergencyAccessId && { emergencyAccess: req.access.emergencyAccessId })
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Add appointment
-router.post('/:patientId/appointment', authMiddleware, async (req, res) => {
+// Export the record as a FHIR R4 Bundle, with the same access as the JSON view
+router.get('/:patientId/fhir', authMiddleware, auditTrail('export_fhir', 'medical_record'), approvedDoctorMiddleware, requirePermission('record:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor' && req.user.role !== 'Reception Agent') {
-      return res.status(403).json({ message: 'Only doctors and reception agents can add appointments' });
+    const { patientId } = req.params;
+    
+    const patient = await User.findOne({ _id: patientId, role: 'Patient' }).select('name familyName email');
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
     }
     
+    const { sections } = req.access;
+    const record = await loadMedicalRecord(patientId, sections);
+    
+    res.locals.audit = { entryId: record._id };
+    res.type('application/fhir+json').json(buildBundle(patient, record, sections));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Printable PDF of the record, with the same access as the JSON view
+router.get('/:patientId/pdf', authMiddleware, auditTrail('export_pdf', 'medical_record'), approvedDoctorMiddleware, requirePermission('record:read'), async (req, res) => {
+  try {
     const { patientId } = req.params;
-    const { date, reason, notes, doctorId } = req.body;
     
-    let assignedDoctorId = req.user.userId;
+    const patient = await User.findOne({ _id: patientId, role: 'Patient' }).select('name familyName email');
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
     
-    // If reception agent, they must specify which doctor this appointment is for
-    if (req.user.role === 'Reception Agent') {
-      if (!doctorId) {
-        return res.status(400).json({ message: 'Doctor ID is required for reception agents' });
-      }
+    const { sections } = req.access;
+    const record = await loadMedicalRecord(patientId, sections);
+    
+    res.locals.audit = { entryId: record._id };
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="medical-record-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    sendPdf(res, renderMedicalRecordPdf(patient, record, sections));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Merge a FHIR R4 Bundle into the record (doctor). Nothing is imported unless
+// every resource is valid; resources imported before are skipped.
+router.post(
+  '/:patientId/fhir',
+  authMiddleware,
+  auditTrail('import_fhir', 'medical_record'),
+  requireRole('Doctor'),
+  approvedDoctorMiddleware,
+  requirePermission('entry:create'),
+  express.json({ type: 'application/fhir+json', limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const { patientId } = req.params;
       
-      // Verify reception agent has access through this doctor
-      const acceptedInvitation = await DoctorReceptionAgent.findOne({
-        receptionAgent: req.user.userId,
-        doctor: doctorId,
-        status: 'accepted'
-      });
+      const parsed = parseBundle(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
       
-      if (!acceptedInvitation) {
-        return res.status(403).json({ message: 'You do not have access through this doctor' });
+      const invalid = parsed.entries.filter(entry => entry.error);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: 'Invalid FHIR Bundle',
+          errors: invalid.map(entry => ({ entry: entry.index, resourceType: entry.resourceType, message: entry.error }))
+        });
       }
       
-      // Verify doctor has access to patient
-      const doctorAccess = await DoctorRequest.findOne({
-        doctor: doctorId,
-        patient: patientId,
-        status: 'accepted'
-      });
+      // Beyond the patient, the doctor needs access to every section the bundle writes to
+      const sections = [...new Set(parsed.entries.map(entry => entry.section))];
+      for (const section of sections) {
+        const access = await checkAccess(req.user, 'entry:create', { patientId, section });
+        if (!access.allowed) {
+          return res.status(403).json({ message: access.message });
+        }
+        req.access = access;
+      }
       
-      if (!doctorAccess) {
-        return res.status(403).json({ message: 'This doctor does not have access to this patient' });
+      const { created, skipped } = await mergeEntries(patientId, req.user.userId, parsed.entries);
+      for (const { section, entry } of created) {
+        const entryType = Object.keys(CLINICAL_ENTRY_TYPES).find(type => CLINICAL_ENTRY_TYPES[type] === section);
+        if (entryType) {
+          await recordCreation(entryType, entry, req.user.userId);
+        }
       }
       
-      assignedDoctorId = doctorId;
-    } else {
-      // Verify doctor has access
-      const acceptedRequest = await DoctorRequest.findOne({
-        doctor: req.user.userId,
-        patient: patientId,
-        status: 'accepted'
+      const imported = {};
+      created.forEach(({ section }) => {
+        imported[section] = (imported[section] || 0) + 1;
       });
+      res.locals.audit = { after: { imported, skipped } };
       
-      if (!acceptedRequest) {
-        return res.status(403).json({ message: 'Access denied' });
+      if (created.length > 0) {
+        const doctor = await User.findById(req.user.userId).select('name familyName');
+        await notifyRecordImported(req.user.userId, patientId, created.length, `${doctor.name} ${doctor.familyName}`);
       }
+      
+      res.status(201).json({
+        message: `${created.length} entries imported, ${skipped} already in the record`,
+        imported,
+        skipped
+      });
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
+
+// Break-glass: a doctor without the patient's consent opens a short read-only
+// window in an emergency. The patient and admins are notified right away.
+router.post('/:patientId/emergency-access', authMiddleware, auditTrail('break_glass', 'emergency_access'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const justification = typeof req.body.justification === 'string' ? req.body.justification.trim() : '';
+    
+    if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+      return res.status(400).json({ message: `A justification of at least ${MIN_JUSTIFICATION_LENGTH} characters is required` });
     }
     
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      medicalRecord = new MedicalRecord({ patient: patientId });
+    const patient = await User.findOne({ _id: patientId, role: 'Patient', deletedAt: null }).select('name familyName email');
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
     }
     
-    medicalRecord.appointments.push({
+    if (await DoctorRequest.exists(DoctorRequest.activeFilter({ doctor: req.user.userId, patient: patientId }))) {
+      return res.status(400).json({ message: 'You already have access to this patient' });
+    }
+    
+    const existing = await findActiveEmergencyAccess(req.user.userId, patientId);
+    if (existing) {
+      return res.json({
+        message: 'Emergency access is already open',
+        emergencyAccessId: existing._id,
+        expiresAt: existing.expiresAt
+      });
+    }
+    
+    const emergencyAccess = await startEmergencyAccess(req.user.userId, patient, justification, req);
+    res.locals.audit = {
+      entryId: emergencyAccess._id,
+      emergencyAccess: emergencyAccess._id,
+      after: { justification, expiresAt: emergencyAccess.expiresAt }
+    };
+    
+    res.status(201).json({
+      message: `Emergency read-only access granted for ${EMERGENCY_ACCESS_MINUTES} minutes. This access will be reviewed.`,
+      emergencyAccessId: emergencyAccess._id,
+      expiresAt: emergencyAccess.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Who viewed or changed the patient's record (patient only)
+router.get('/:patientId/access-log', authMiddleware, auditTrail('read', 'record_access_log'), requirePermission('access-log:read'), async (req, res) => {
+  try {
+    const paging = parsePagination(req.query);
+    if (paging.error) {
+      return res.status(400).json({ message: paging.error });
+    }
+    
+    const [accessLog, patient] = await Promise.all([
+      getAccessLog(req.params.patientId, paging),
+      User.findById(req.params.patientId).select('notifyOnNewRecordAccess')
+    ]);
+    
+    res.json({
+      ...accessLog,
+      notifyOnNewAccess: !!(patient && patient.notifyOnNewRecordAccess)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Opt in or out of notifications when someone new accesses the record (patient only)
+router.put('/:patientId/access-log/notifications', authMiddleware, auditTrail('update', 'record_access_log'), requirePermission('access-log:manage'), async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be true or false' });
+    }
+    
+    const previous = await User.findOneAndUpdate(
+      { _id: req.params.patientId },
+      { notifyOnNewRecordAccess: enabled }
+    ).select('notifyOnNewRecordAccess');
+    
+    res.locals.audit = {
+      before: { notifyOnNewRecordAccess: !!(previous && previous.notifyOnNewRecordAccess) },
+      after: { notifyOnNewRecordAccess: enabled }
+    };
+    res.json({
+      message: enabled
+        ? 'You will be notified when someone accesses your record for the first time'
+        : 'New access notifications turned off',
+      notifyOnNewAccess: enabled
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revision chain of a clinical entry, including retracted ones.
+// Open to the patient, to doctors whose grant covers that part of the record,
+// and to admins as auditors; not to reception agents or break-glass access.
+router.get('/:patientId/:type/:entryId/history', authMiddleware, auditTrail('read_history', 'clinical_entry'), approvedDoctorMiddleware, requirePermission('entry:history', req => ({ patientId: req.params.patientId, section: CLINICAL_ENTRY_TYPES[req.params.type] })), async (req, res) => {
+  try {
+    const { patientId, type, entryId } = req.params;
+    
+    if (!CLINICAL_ENTRY_TYPES[type]) {
+      return res.status(404).json({ message: `Unknown entry type. Allowed: ${Object.keys(CLINICAL_ENTRY_TYPES).join(', ')}` });
+    }
+    
+    const history = mongoose.isValidObjectId(entryId) ? await getEntryHistory(type, patientId, entryId) : null;
+    if (!history) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+    
+    res.locals.audit = { entryType: type };
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add appointment
+router.post('/:patientId/appointment', authMiddleware, auditTrail('create', 'appointment'), requireRole('Doctor', 'Reception Agent'), approvedDoctorMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { date, reason, notes, doctorId } = req.body;
+    
+    // Reception agents must say which doctor this appointment is for
+    if (req.user.role === 'Reception Agent' && !doctorId) {
+      return res.status(400).json({ message: 'Doctor ID is required for reception agents' });
+    }
+    
+    const access = await checkAccess(req.user, 'appointment:create', { patientId, doctorId, section: 'appointments' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
+    }
+    req.access = access;
+    const assignedDoctorId = access.doctorId;
+    
+    const created = await Appointment.create({
+      patient: patientId,
       doctor: assignedDoctorId,
       date,
       reason,
       notes
     });
-    
-    await medicalRecord.save();
-    await medicalRecord.populate('appointments.doctor', 'name familyName speciality');
+    res.locals.audit = { entryId: created._id, after: snapshot(created) };
+    await created.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(assignedDoctorId).select('name familyName');
@@ -158,7 +326,7 @@ router.post('/:patientId/appointment', authMiddleware, async (req, res) => {
     
     res.status(201).json({ 
       message: 'Appointment added successfully',
-      appointment: medicalRecord.appointments[medicalRecord.appointments.length - 1]
+      appointment: created
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -166,50 +334,30 @@ router.post('/:patientId/appointment', authMiddleware, async (req, res) => {
 });
 
 // Update appointment
-router.put('/:patientId/appointment/:appointmentId', authMiddleware, async (req, res) => {
+router.put('/:patientId/appointment/:appointmentId', authMiddleware, auditTrail('update', 'appointment'), requireRole('Doctor', 'Reception Agent'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor' && req.user.role !== 'Reception Agent') {
-      return res.status(403).json({ message: 'Only doctors and reception agents can update appointments' });
-    }
-    
     const { patientId, appointmentId } = req.params;
     const { date, reason, notes } = req.body;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const appointment = medicalRecord.appointments.id(appointmentId);
+    const appointment = await findEntry(Appointment, patientId, appointmentId);
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
     
-    // Check permissions
-    if (req.user.role === 'Doctor') {
-      // Doctors can only modify their own appointments
-      if (appointment.doctor.toString() !== req.user.userId) {
-        return res.status(403).json({ message: 'You can only modify your own appointments' });
-      }
-    } else if (req.user.role === 'Reception Agent') {
-      // Reception agents can modify appointments for their doctors' patients
-      const acceptedInvitation = await DoctorReceptionAgent.findOne({
-        receptionAgent: req.user.userId,
-        doctor: appointment.doctor,
-        status: 'accepted'
-      });
-      
-      if (!acceptedInvitation) {
-        return res.status(403).json({ message: 'You can only modify appointments for your assigned doctors' });
-      }
+    const access = await checkAccess(req.user, 'appointment:modify', { patientId, authorId: appointment.doctor, section: 'appointments' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    const before = snapshot(appointment);
     
     if (date) appointment.date = date;
     if (reason) appointment.reason = reason;
     if (notes !== undefined) appointment.notes = notes;
     
-    await medicalRecord.save();
-    await medicalRecord.populate('appointments.doctor', 'name familyName speciality');
+    await appointment.save();
+    res.locals.audit = { before, after: snapshot(appointment) };
+    await appointment.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(appointment.doctor).select('name familyName');
@@ -230,46 +378,24 @@ router.put('/:patientId/appointment/:appointmentId', authMiddleware, async (req,
 });
 
 // Delete appointment
-router.delete('/:patientId/appointment/:appointmentId', authMiddleware, async (req, res) => {
+router.delete('/:patientId/appointment/:appointmentId', authMiddleware, auditTrail('delete', 'appointment'), requireRole('Doctor', 'Reception Agent'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor' && req.user.role !== 'Reception Agent') {
-      return res.status(403).json({ message: 'Only doctors and reception agents can delete appointments' });
-    }
-    
     const { patientId, appointmentId } = req.params;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const appointment = medicalRecord.appointments.id(appointmentId);
+    const appointment = await findEntry(Appointment, patientId, appointmentId);
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
     
-    // Check permissions
-    if (req.user.role === 'Doctor') {
-      // Doctors can only delete their own appointments
-      if (appointment.doctor.toString() !== req.user.userId) {
-        return res.status(403).json({ message: 'You can only delete your own appointments' });
-      }
-    } else if (req.user.role === 'Reception Agent') {
-      // Reception agents can delete appointments for their doctors' patients
-      const acceptedInvitation = await DoctorReceptionAgent.findOne({
-        receptionAgent: req.user.userId,
-        doctor: appointment.doctor,
-        status: 'accepted'
-      });
-      
-      if (!acceptedInvitation) {
-        return res.status(403).json({ message: 'You can only delete appointments for your assigned doctors' });
-      }
+    const access = await checkAccess(req.user, 'appointment:modify', { patientId, authorId: appointment.doctor, section: 'appointments' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    res.locals.audit = { before: snapshot(appointment) };
     
     const doctorId = appointment.doctor;
-    appointment.deleteOne();
-    await medicalRecord.save();
+    await appointment.deleteOne();
     
     // Send notification to patient
     const doctor = await User.findById(doctorId).select('name familyName');
@@ -287,40 +413,22 @@ router.delete('/:patientId/appointment/:appointmentId', authMiddleware, async (r
 });
 
 // Add prescription
-router.post('/:patientId/prescription', authMiddleware, async (req, res) => {
+router.post('/:patientId/prescription', authMiddleware, auditTrail('create', 'prescription'), requireRole('Doctor'), approvedDoctorMiddleware, requirePermission('entry:create', inSection('prescriptions')), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can add prescriptions' });
-    }
-    
     const { patientId } = req.params;
     const { medication, dosage, duration, instructions } = req.body;
     
-    const acceptedRequest = await DoctorRequest.findOne({
-      doctor: req.user.userId,
+    const created = await Prescription.create({
       patient: patientId,
-      status: 'accepted'
-    });
-    
-    if (!acceptedRequest) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      medicalRecord = new MedicalRecord({ patient: patientId });
-    }
-    
-    medicalRecord.prescriptions.push({
       doctor: req.user.userId,
       medication,
       dosage,
       duration,
       instructions
     });
-    
-    await medicalRecord.save();
-    await medicalRecord.populate('prescriptions.doctor', 'name familyName speciality');
+    await recordCreation('prescription', created, req.user.userId);
+    res.locals.audit = { entryId: created._id, after: snapshot(created) };
+    await created.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -333,44 +441,76 @@ router.post('/:patientId/prescription', authMiddleware, async (req, res) => {
     
     res.status(201).json({ 
       message: 'Prescription added successfully',
-      prescription: medicalRecord.prescriptions[medicalRecord.prescriptions.length - 1]
+      prescription: created
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Update prescription
-router.put('/:patientId/prescription/:prescriptionId', authMiddleware, async (req, res) => {
+// Printable prescription sheet with its verification code
+router.get('/:patientId/prescription/:prescriptionId/pdf', authMiddleware, auditTrail('print', 'prescription'), approvedDoctorMiddleware, requirePermission('record:read', inSection('prescriptions')), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can update prescriptions' });
+    const { patientId, prescriptionId } = req.params;
+    
+    const prescription = await findEntry(Prescription, patientId, prescriptionId);
+    if (!prescription) {
+      return res.status(404).json({ message: 'Prescription not found' });
     }
+    if (prescription.retractedAt) {
+      return res.status(400).json({ message: 'Prescription was marked as entered in error and cannot be printed' });
+    }
+    
+    const code = await ensureVerificationCode(prescription);
+    await prescription.populate('doctor', DOCTOR_FIELDS);
+    const patient = await User.findById(patientId).select('name familyName');
+    const qrImage = await QRCode.toBuffer(qrPayload(prescription), { margin: 1, width: 300 });
     
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="prescription-${code}.pdf"`);
+    sendPdf(res, renderPrescriptionPdf(patient, prescription, qrImage));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update prescription
+router.put('/:patientId/prescription/:prescriptionId', authMiddleware, auditTrail('update', 'prescription'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
+  try {
     const { patientId, prescriptionId } = req.params;
-    const { medication, dosage, duration, instructions } = req.body;
+    const { medication, dosage, duration, instructions, reason } = req.body;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
+    // Every change is kept as a revision, with the reason it was made
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to change a clinical entry' });
     }
     
-    const prescription = medicalRecord.prescriptions.id(prescriptionId);
+    const prescription = await findEntry(Prescription, patientId, prescriptionId);
     if (!prescription) {
       return res.status(404).json({ message: 'Prescription not found' });
     }
     
-    if (prescription.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only modify your own prescriptions' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: prescription.doctor, section: 'prescriptions' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    if (prescription.retractedAt) {
+      return res.status(400).json({ message: 'Prescription was marked as entered in error and cannot be changed' });
+    }
+    const before = snapshot(prescription);
     
     if (medication) prescription.medication = medication;
     if (dosage) prescription.dosage = dosage;
     if (duration !== undefined) prescription.duration = duration;
     if (instructions !== undefined) prescription.instructions = instructions;
     
-    await medicalRecord.save();
-    await medicalRecord.populate('prescriptions.doctor', 'name familyName speciality');
+    const saved = await saveRevision('prescription', prescription, { action: 'update', changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(prescription) };
+    await prescription.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -390,31 +530,32 @@ router.put('/:patientId/prescription/:prescriptionId', authMiddleware, async (re
   }
 });
 
-// Delete prescription
-router.delete('/:patientId/prescription/:prescriptionId', authMiddleware, async (req, res) => {
+// Retract prescription as entered in error; it stays in the record's history
+router.delete('/:patientId/prescription/:prescriptionId', authMiddleware, auditTrail('retract', 'prescription'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can delete prescriptions' });
-    }
-    
     const { patientId, prescriptionId } = req.params;
+    const { reason } = req.body || {};
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const prescription = medicalRecord.prescriptions.id(prescriptionId);
+    const prescription = await findEntry(Prescription, patientId, prescriptionId);
     if (!prescription) {
       return res.status(404).json({ message: 'Prescription not found' });
     }
     
-    if (prescription.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only delete your own prescriptions' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: prescription.doctor, section: 'prescriptions' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    if (prescription.retractedAt) {
+      return res.status(400).json({ message: 'Prescription was already marked as entered in error' });
+    }
+    const before = snapshot(prescription);
     
-    prescription.deleteOne();
-    await medicalRecord.save();
+    const saved = await retractEntry('prescription', prescription, { changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(prescription) };
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -425,47 +566,29 @@ router.delete('/:patientId/prescription/:prescriptionId', authMiddleware, async
       `${doctor.name} ${doctor.familyName}`
     );
     
-    res.json({ message: 'Prescription deleted successfully' });
+    res.json({ message: 'Prescription marked as entered in error' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Add disease
-router.post('/:patientId/disease', authMiddleware, async (req, res) => {
+router.post('/:patientId/disease', authMiddleware, auditTrail('create', 'disease'), requireRole('Doctor'), approvedDoctorMiddleware, requirePermission('entry:create', inSection('diseases')), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can add diseases' });
-    }
-    
     const { patientId } = req.params;
     const { name, diagnosedDate, status, notes } = req.body;
     
-    const acceptedRequest = await DoctorRequest.findOne({
-      doctor: req.user.userId,
+    const created = await Disease.create({
       patient: patientId,
-      status: 'accepted'
-    });
-    
-    if (!acceptedRequest) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      medicalRecord = new MedicalRecord({ patient: patientId });
-    }
-    
-    medicalRecord.diseases.push({
       doctor: req.user.userId,
       name,
       diagnosedDate,
       status,
       notes
     });
-    
-    await medicalRecord.save();
-    await medicalRecord.populate('diseases.doctor', 'name familyName speciality');
+    await recordCreation('disease', created, req.user.userId);
+    res.locals.audit = { entryId: created._id, after: snapshot(created) };
+    await created.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -478,7 +601,7 @@ router.post('/:patientId/disease', authMiddleware, async (req, res) => {
     
     res.status(201).json({ 
       message: 'Disease added successfully',
-      disease: medicalRecord.diseases[medicalRecord.diseases.length - 1]
+      disease: created
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -486,36 +609,42 @@ router.post('/:patientId/disease', authMiddleware, async (req, res) => {
 });
 
 // Update disease
-router.put('/:patientId/disease/:diseaseId', authMiddleware, async (req, res) => {
+router.put('/:patientId/disease/:diseaseId', authMiddleware, auditTrail('update', 'disease'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can update diseases' });
-    }
-    
     const { patientId, diseaseId } = req.params;
-    const { name, diagnosedDate, status, notes } = req.body;
+    const { name, diagnosedDate, status, notes, reason } = req.body;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
+    // Every change is kept as a revision, with the reason it was made
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to change a clinical entry' });
     }
     
-    const disease = medicalRecord.diseases.id(diseaseId);
+    const disease = await findEntry(Disease, patientId, diseaseId);
     if (!disease) {
       return res.status(404).json({ message: 'Disease not found' });
     }
     
-    if (disease.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only modify your own disease entries' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: disease.doctor, section: 'diseases' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    if (disease.retractedAt) {
+      return res.status(400).json({ message: 'Disease was marked as entered in error and cannot be changed' });
+    }
+    const before = snapshot(disease);
     
     if (name) disease.name = name;
     if (diagnosedDate) disease.diagnosedDate = diagnosedDate;
     if (status) disease.status = status;
     if (notes !== undefined) disease.notes = notes;
     
-    await medicalRecord.save();
-    await medicalRecord.populate('diseases.doctor', 'name familyName speciality');
+    const saved = await saveRevision('disease', disease, { action: 'update', changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(disease) };
+    await disease.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -535,31 +664,32 @@ router.put('/:patientId/disease/:diseaseId', authMiddleware, async (req, res) =>
   }
 });
 
-// Delete disease
-router.delete('/:patientId/disease/:diseaseId', authMiddleware, async (req, res) => {
+// Retract disease as entered in error; it stays in the record's history
+router.delete('/:patientId/disease/:diseaseId', authMiddleware, auditTrail('retract', 'disease'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can delete diseases' });
-    }
-    
     const { patientId, diseaseId } = req.params;
+    const { reason } = req.body || {};
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const disease = medicalRecord.diseases.id(diseaseId);
+    const disease = await findEntry(Disease, patientId, diseaseId);
     if (!disease) {
       return res.status(404).json({ message: 'Disease not found' });
     }
     
-    if (disease.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only delete your own disease entries' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: disease.doctor, section: 'diseases' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
+    }
+    req.access = access;
+    if (disease.retractedAt) {
+      return res.status(400).json({ message: 'Disease was already marked as entered in error' });
     }
+    const before = snapshot(disease);
     
-    disease.deleteOne();
-    await medicalRecord.save();
+    const saved = await retractEntry('disease', disease, { changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(disease) };
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -570,44 +700,26 @@ router.delete('/:patientId/disease/:diseaseId', authMiddleware, async (req, res)
       `${doctor.name} ${doctor.familyName}`
     );
     
-    res.json({ message: 'Disease deleted successfully' });
+    res.json({ message: 'Disease marked as entered in error' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Add comment
-router.post('/:patientId/comment', authMiddleware, async (req, res) => {
+router.post('/:patientId/comment', authMiddleware, auditTrail('create', 'comment'), requireRole('Doctor'), approvedDoctorMiddleware, requirePermission('entry:create', inSection('comments')), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can add comments' });
-    }
-    
     const { patientId } = req.params;
     const { text } = req.body;
     
-    const acceptedRequest = await DoctorRequest.findOne({
-      doctor: req.user.userId,
+    const created = await Comment.create({
       patient: patientId,
-      status: 'accepted'
-    });
-    
-    if (!acceptedRequest) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      medicalRecord = new MedicalRecord({ patient: patientId });
-    }
-    
-    medicalRecord.comments.push({
       doctor: req.user.userId,
       text
     });
-    
-    await medicalRecord.save();
-    await medicalRecord.populate('comments.doctor', 'name familyName speciality');
+    await recordCreation('comment', created, req.user.userId);
+    res.locals.audit = { entryId: created._id, after: snapshot(created) };
+    await created.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -620,7 +732,7 @@ router.post('/:patientId/comment', authMiddleware, async (req, res) => {
     
     res.status(201).json({ 
       message: 'Comment added successfully',
-      comment: medicalRecord.comments[medicalRecord.comments.length - 1]
+      comment: created
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -628,33 +740,39 @@ router.post('/:patientId/comment', authMiddleware, async (req, res) => {
 });
 
 // Update comment
-router.put('/:patientId/comment/:commentId', authMiddleware, async (req, res) => {
+router.put('/:patientId/comment/:commentId', authMiddleware, auditTrail('update', 'comment'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can update comments' });
-    }
-    
     const { patientId, commentId } = req.params;
-    const { text } = req.body;
+    const { text, reason } = req.body;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
+    // Every change is kept as a revision, with the reason it was made
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to change a clinical entry' });
     }
     
-    const comment = medicalRecord.comments.id(commentId);
+    const comment = await findEntry(Comment, patientId, commentId);
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    if (comment.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only modify your own comments' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: comment.doctor, section: 'comments' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
     }
+    req.access = access;
+    if (comment.retractedAt) {
+      return res.status(400).json({ message: 'Comment was marked as entered in error and cannot be changed' });
+    }
+    const before = snapshot(comment);
     
     if (text) comment.text = text;
     
-    await medicalRecord.save();
-    await medicalRecord.populate('comments.doctor', 'name familyName speciality');
+    const saved = await saveRevision('comment', comment, { action: 'update', changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(comment) };
+    await comment.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -674,31 +792,32 @@ router.put('/:patientId/comment/:commentId', authMiddleware, async (req, res) =>
   }
 });
 
-// Delete comment
-router.delete('/:patientId/comment/:commentId', authMiddleware, async (req, res) => {
+// Retract comment as entered in error; it stays in the record's history
+router.delete('/:patientId/comment/:commentId', authMiddleware, auditTrail('retract', 'comment'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can delete comments' });
-    }
-    
     const { patientId, commentId } = req.params;
+    const { reason } = req.body || {};
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const comment = medicalRecord.comments.id(commentId);
+    const comment = await findEntry(Comment, patientId, commentId);
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    if (comment.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only delete your own comments' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: comment.doctor, section: 'comments' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
+    }
+    req.access = access;
+    if (comment.retractedAt) {
+      return res.status(400).json({ message: 'Comment was already marked as entered in error' });
     }
+    const before = snapshot(comment);
     
-    comment.deleteOne();
-    await medicalRecord.save();
+    const saved = await retractEntry('comment', comment, { changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(comment) };
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -709,47 +828,29 @@ router.delete('/:patientId/comment/:commentId', authMiddleware, async (req, res)
       `${doctor.name} ${doctor.familyName}`
     );
     
-    res.json({ message: 'Comment deleted successfully' });
+    res.json({ message: 'Comment marked as entered in error' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Add diagnostic
-router.post('/:patientId/diagnostic', authMiddleware, async (req, res) => {
+router.post('/:patientId/diagnostic', authMiddleware, auditTrail('create', 'diagnostic'), requireRole('Doctor'), approvedDoctorMiddleware, requirePermission('entry:create', inSection('diagnostics')), async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can add diagnostics' });
-    }
-    
     const { patientId } = req.params;
     const { testName, testDate, results, notes } = req.body;
     
-    const acceptedRequest = await DoctorRequest.findOne({
-      doctor: req.user.userId,
+    const created = await Diagnostic.create({
       patient: patientId,
-      status: 'accepted'
-    });
-    
-    if (!acceptedRequest) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    let medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      medicalRecord = new MedicalRecord({ patient: patientId });
-    }
-    
-    medicalRecord.diagnostics.push({
       doctor: req.user.userId,
       testName,
       testDate,
       results,
       notes
     });
-    
-    await medicalRecord.save();
-    await medicalRecord.populate('diagnostics.doctor', 'name familyName speciality');
+    await recordCreation('diagnostic', created, req.user.userId);
+    res.locals.audit = { entryId: created._id, after: snapshot(created) };
+    await created.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -762,7 +863,7 @@ router.post('/:patientId/diagnostic', authMiddleware, async (req, res) => {
     
     res.status(201).json({ 
       message: 'Diagnostic added successfully',
-      diagnostic: medicalRecord.diagnostics[medicalRecord.diagnostics.length - 1]
+      diagnostic: created
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -770,36 +871,42 @@ router.post('/:patientId/diagnostic', authMiddleware, async (req, res) => {
 });
 
 // Update diagnostic
-router.put('/:patientId/diagnostic/:diagnosticId', authMiddleware, async (req, res) => {
+router.put('/:patientId/diagnostic/:diagnosticId', authMiddleware, auditTrail('update', 'diagnostic'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can update diagnostics' });
-    }
-    
     const { patientId, diagnosticId } = req.params;
-    const { testName, testDate, results, notes } = req.body;
+    const { testName, testDate, results, notes, reason } = req.body;
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
+    // Every change is kept as a revision, with the reason it was made
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to change a clinical entry' });
     }
     
-    const diagnostic = medicalRecord.diagnostics.id(diagnosticId);
+    const diagnostic = await findEntry(Diagnostic, patientId, diagnosticId);
     if (!diagnostic) {
       return res.status(404).json({ message: 'Diagnostic not found' });
     }
     
-    if (diagnostic.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only modify your own diagnostic entries' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: diagnostic.doctor, section: 'diagnostics' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
+    }
+    req.access = access;
+    if (diagnostic.retractedAt) {
+      return res.status(400).json({ message: 'Diagnostic was marked as entered in error and cannot be changed' });
     }
+    const before = snapshot(diagnostic);
     
     if (testName) diagnostic.testName = testName;
     if (testDate) diagnostic.testDate = testDate;
     if (results) diagnostic.results = results;
     if (notes !== undefined) diagnostic.notes = notes;
     
-    await medicalRecord.save();
-    await medicalRecord.populate('diagnostics.doctor', 'name familyName speciality');
+    const saved = await saveRevision('diagnostic', diagnostic, { action: 'update', changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(diagnostic) };
+    await diagnostic.populate('doctor', DOCTOR_FIELDS);
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -819,31 +926,32 @@ router.put('/:patientId/diagnostic/:diagnosticId', authMiddleware, async (req, r
   }
 });
 
-// Delete diagnostic
-router.delete('/:patientId/diagnostic/:diagnosticId', authMiddleware, async (req, res) => {
+// Retract diagnostic as entered in error; it stays in the record's history
+router.delete('/:patientId/diagnostic/:diagnosticId', authMiddleware, auditTrail('retract', 'diagnostic'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== 'Doctor') {
-      return res.status(403).json({ message: 'Only doctors can delete diagnostics' });
-    }
-    
     const { patientId, diagnosticId } = req.params;
+    const { reason } = req.body || {};
     
-    const medicalRecord = await MedicalRecord.findOne({ patient: patientId });
-    if (!medicalRecord) {
-      return res.status(404).json({ message: 'Medical record not found' });
-    }
-    
-    const diagnostic = medicalRecord.diagnostics.id(diagnosticId);
+    const diagnostic = await findEntry(Diagnostic, patientId, diagnosticId);
     if (!diagnostic) {
       return res.status(404).json({ message: 'Diagnostic not found' });
     }
     
-    if (diagnostic.doctor.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'You can only delete your own diagnostic entries' });
+    const access = await checkAccess(req.user, 'entry:modify', { patientId, authorId: diagnostic.doctor, section: 'diagnostics' });
+    if (!access.allowed) {
+      return res.status(403).json({ message: access.message });
+    }
+    req.access = access;
+    if (diagnostic.retractedAt) {
+      return res.status(400).json({ message: 'Diagnostic was already marked as entered in error' });
     }
+    const before = snapshot(diagnostic);
     
-    diagnostic.deleteOne();
-    await medicalRecord.save();
+    const saved = await retractEntry('diagnostic', diagnostic, { changedBy: req.user.userId, reason, before });
+    if (saved.error) {
+      return res.status(saved.status).json({ message: saved.error });
+    }
+    res.locals.audit = { before, after: snapshot(diagnostic) };
     
     // Send notification to patient
     const doctor = await User.findById(req.user.userId).select('name familyName');
@@ -854,7 +962,7 @@ router.delete('/:patientId/diagnostic/:diagnosticId', authMiddleware, async (req
       `${doctor.name} ${doctor.familyName}`
     );
     
-    res.json({ message: 'Diagnostic deleted successfully' });
+    res.json({ message: 'Diagnostic marked as entered in error' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
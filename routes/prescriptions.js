@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const { authMiddleware, approvedDoctorMiddleware } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireRole } = require('../services/accessPolicy');
+const { auditTrail } = require('../services/auditService');
+const { parsePagination, paginate, setPaginationHeaders } = require('../services/userQueryService');
+const { parseQrPayload, verifyPrescription, dispensePrescription } = require('../services/prescriptionService');
+
+const verifyLimiter = rateLimit({ name: 'prescription-verify-ip', windowMs: 60 * 1000, max: 30 });
+
+// The short code as typed, or the payload scanned from the QR code.
+// Returns { code, signature } (no signature for a typed code) or { error }.
+function readCode(value) {
+  if (String(value).startsWith('MEDFLOW-RX:')) {
+    const scanned = parseQrPayload(value);
+    return scanned || { error: 'Invalid QR code' };
+  }
+
+  const code = Prescription.normalizeVerificationCode(value);
+  return code ? { code } : { error: 'Invalid verification code' };
+}
+
+// Check a prescription is genuine and unused (public, for pharmacies)
+router.get('/verify/:code', verifyLimiter, async (req, res) => {
+  try {
+    const { code, signature, error } = readCode(req.params.code);
+    if (error) {
+      return res.status(400).json({ valid: false, message: error });
+    }
+
+    const result = await verifyPrescription(code, signature);
+    if (!result) {
+      return res.status(404).json({ valid: false, message: 'Prescription not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    // Public route: no internal details in the response
+    console.error(error);
+    res.status(500).json({ valid: false, message: 'Server error' });
+  }
+});
+
+// Mark a prescription as dispensed (pharmacist). Each prescription can be
+// dispensed once, and only from its scanned QR code: a typed code carries no
+// signature to check the sheet against.
+router.post('/verify/:code/dispense', authMiddleware, auditTrail('dispense', 'prescription'), requireRole('Pharmacist'), async (req, res) => {
+  try {
+    const { code, signature, error } = readCode(req.params.code);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!signature) {
+      return res.status(400).json({ message: 'Scan the QR code on the prescription sheet to dispense it' });
+    }
+
+    const { pharmacy, notes } = req.body || {};
+    const result = await dispensePrescription(code, signature, req.user.userId, { pharmacy, notes, ip: req.ip });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error, dispensedAt: result.dispensedAt });
+    }
+
+    const { prescription, dispensation } = result;
+    res.locals.audit = {
+      patient: prescription.patient,
+      entryId: prescription._id,
+      before: { dispensedAt: null },
+      after: { dispensedAt: prescription.dispensedAt, pharmacy }
+    };
+
+    res.json({
+      message: 'Prescription marked as dispensed',
+      dispensation: {
+        _id: dispensation._id,
+        code,
+        medication: prescription.medication,
+        dosage: prescription.dosage,
+        pharmacy: dispensation.pharmacy,
+        dispensedAt: prescription.dispensedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Dispensing history of the doctor's own prescriptions (doctor)
+// Filters: prescription
+router.get('/dispensing-history', authMiddleware, auditTrail('list', 'dispensation'), requireRole('Doctor'), approvedDoctorMiddleware, async (req, res) => {
+  try {
+    const filter = { doctor: req.user.userId };
+
+    if (req.query.prescription) {
+      if (!mongoose.isValidObjectId(req.query.prescription)) {
+        return res.status(400).json({ message: 'Invalid prescription id' });
+      }
+      filter.prescription = req.query.prescription;
+    }
+
+    const paging = parsePagination(req.query);
+    if (paging.error) {
+      return res.status(400).json({ message: paging.error });
+    }
+
+    const { items, pagination } = await paginate(Dispensation, filter, { ...paging, sort: { createdAt: -1 } });
+    await Dispensation.populate(items, [
+      { path: 'prescription', select: 'medication dosage duration verificationCode createdAt' },
+      { path: 'patient', select: 'name familyName' },
+      { path: 'pharmacist', select: 'name familyName email' }
+    ]);
+
+    setPaginationHeaders(req, res, pagination);
+    res.json(items);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,33 +3,26 @@ const router = express.Router();
 const User = require('../models/User');
 const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
 const { authMiddleware } = require('../middleware/auth');
-
-// Middleware to check if user is a doctor
-const doctorMiddleware = (req, res, next) => {
-  if (req.user.role !== 'Doctor') {
-    return res.status(403).json({ message: 'Access denied. Doctor role required.' });
-  }
-  next();
-};
-
-// Middleware to check if user is a reception agent
-const receptionAgentMiddleware = (req, res, next) => {
-  if (req.user.role !== 'Reception Agent') {
-    return res.status(403).json({ message: 'Access denied. Reception Agent role required.' });
-  }
-  next();
-};
+const { requireRole, activeDoctorsOf } = require('../services/accessPolicy');
+const { parseUserQuery, paginate, setPaginationHeaders } = require('../services/userQueryService');
 
 // Get all reception agents (for doctors to send invitations)
-router.get('/all', authMiddleware, doctorMiddleware, async (req, res) => {
+router.get('/all', authMiddleware, requireRole('Doctor'), async (req, res) => {
   try {
-    const receptionAgents = await User.find({ role: 'Reception Agent' })
-      .select('name familyName email')
-      .sort({ name: 1 });
+    const query = parseUserQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    
+    const { items: receptionAgents, pagination } = await paginate(User, { ...query.filter, role: 'Reception Agent', deletedAt: null }, {
+      ...query,
+      select: 'name familyName email'
+    });
     
-    // Get existing invitations from this doctor
+    // Get existing invitations from this doctor for the agents on this page
     const existingInvitations = await DoctorReceptionAgent.find({ 
-      doctor: req.user.userId 
+      doctor: req.user.userId,
+      receptionAgent: { $in: receptionAgents.map(agent => agent._id) }
     }).select('receptionAgent status');
     
     const invitationMap = {};
@@ -45,6 +38,7 @@ router.get('/all', authMiddleware, doctorMiddleware, async (req, res) => {
       invitationStatus: invitationMap[agent._id.toString()] || 'none'
     }));
     
+    setPaginationHeaders(req, res, pagination);
     res.json(receptionAgentsWithStatus);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -52,7 +46,7 @@ router.get('/all', authMiddleware, doctorMiddleware, async (req, res) => {
 });
 
 // Send invitation to reception agent (doctor)
-router.post('/invite', authMiddleware, doctorMiddleware, async (req, res) => {
+router.post('/invite', authMiddleware, requireRole('Doctor'), async (req, res) => {
   try {
     const { receptionAgentId } = req.body;
     
@@ -61,7 +55,7 @@ router.post('/invite', authMiddleware, doctorMiddleware, async (req, res) => {
     }
     
     // Check if reception agent exists
-    const receptionAgent = await User.findOne({ _id: receptionAgentId, role: 'Reception Agent' });
+    const receptionAgent = await User.findOne({ _id: receptionAgentId, role: 'Reception Agent', deletedAt: null });
     if (!receptionAgent) {
       return res.status(404).json({ message: 'Reception Agent not found' });
     }
@@ -131,13 +125,14 @@ router.post('/invite', authMiddleware, doctorMiddleware, async (req, res) => {
 });
 
 // Get my accepted doctors (reception agent)
-router.get('/my-doctors', authMiddleware, receptionAgentMiddleware, async (req, res) => {
+router.get('/my-doctors', authMiddleware, requireRole('Reception Agent'), async (req, res) => {
   try {
     const acceptedInvitations = await DoctorReceptionAgent.find({
       receptionAgent: req.user.userId,
       status: 'accepted'
-    }).populate('doctor', 'name familyName email speciality');
+    }).populate('doctor', 'name familyName email speciality status');
     
+    // Access through suspended or deactivated doctors is paused; status lets the UI show it
     const doctors = acceptedInvitations.map(invitation => invitation.doctor);
     
     res.json(doctors);
@@ -147,21 +142,16 @@ router.get('/my-doctors', authMiddleware, receptionAgentMiddleware, async (req,
 });
 
 // Get all patients from my accepted doctors (reception agent)
-router.get('/patients', authMiddleware, receptionAgentMiddleware, async (req, res) => {
+router.get('/patients', authMiddleware, requireRole('Reception Agent'), async (req, res) => {
   try {
-    const acceptedInvitations = await DoctorReceptionAgent.find({
-      receptionAgent: req.user.userId,
-      status: 'accepted'
-    }).select('doctor');
-    
-    const doctorIds = acceptedInvitations.map(inv => inv.doctor);
+    // Doctors who are suspended or deactivated are left out
+    const doctorIds = await activeDoctorsOf(req.user.userId);
     
     // Get all patients that these doctors have access to
     const DoctorRequest = require('../models/DoctorRequest');
-    const doctorPatients = await DoctorRequest.find({
-      doctor: { $in: doctorIds },
-      status: 'accepted'
-    })
+    const doctorPatients = await DoctorRequest.find(DoctorRequest.activeFilter({
+      doctor: { $in: doctorIds }
+    }))
     .populate('patient', 'name familyName email')
     .populate('doctor', 'name familyName speciality');
     
@@ -175,7 +165,7 @@ router.get('/patients', authMiddleware, receptionAgentMiddleware, async (req, re
 });
 
 // Get pending invitations (reception agent)
-router.get('/invitations/pending', authMiddleware, receptionAgentMiddleware, async (req, res) => {
+router.get('/invitations/pending', authMiddleware, requireRole('Reception Agent'), async (req, res) => {
   try {
     const pendingInvitations = await DoctorReceptionAgent.find({
       receptionAgent: req.user.userId,
@@ -189,7 +179,7 @@ router.get('/invitations/pending', authMiddleware, receptionAgentMiddleware, asy
 });
 
 // Get all invitations with status (reception agent)
-router.get('/invitations/all', authMiddleware, receptionAgentMiddleware, async (req, res) => {
+router.get('/invitations/all', authMiddleware, requireRole('Reception Agent'), async (req, res) => {
   try {
     const invitations = await DoctorReceptionAgent.find({
       receptionAgent: req.user.userId
@@ -204,7 +194,7 @@ router.get('/invitations/all', authMiddleware, receptionAgentMiddleware, async (
 });
 
 // Accept/reject doctor invitation (reception agent)
-router.put('/invitation/:invitationId', authMiddleware, receptionAgentMiddleware, async (req, res) => {
+router.put('/invitation/:invitationId', authMiddleware, requireRole('Reception Agent'), async (req, res) => {
   try {
     const { invitationId } = req.params;
     const { status } = req.body;
@@ -262,7 +252,7 @@ router.put('/invitation/:invitationId', authMiddleware, receptionAgentMiddleware
 });
 
 // Remove reception agent (doctor)
-router.delete('/:receptionAgentId', authMiddleware, doctorMiddleware, async (req, res) => {
+router.delete('/:receptionAgentId', authMiddleware, requireRole('Doctor'), async (req, res) => {
   try {
     const { receptionAgentId } = req.params;
     
@@ -0,0 +1,26 @@
+// Give every prescription without a verification code one, so all of them
+// can be checked by pharmacies. Safe to re-run.
+//
+// Usage: node scripts/backfill-prescription-codes.js
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { backfillVerificationCodes } = require('../services/prescriptionService');
+
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medflow', {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    const updated = await backfillVerificationCodes();
+    console.log(`Added verification codes to ${updated} prescription(s).`);
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
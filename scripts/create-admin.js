@@ -0,0 +1,89 @@
+// Create the first admin account in a fresh database.
+//
+// Usage:
+//   node scripts/create-admin.js --email=admin@clinic.org --name=Jane --family-name=Doe
+//   Missing values are prompted for; the password can also come from ADMIN_PASSWORD.
+//   Add --force to create another admin when one already exists.
+require('dotenv').config();
+
+const readline = require('readline/promises');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+  return args;
+}
+
+async function prompt(rl, question, fallback) {
+  if (fallback) return fallback;
+  const answer = await rl.question(question);
+  return answer.trim();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medflow', {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    const existingAdmins = await User.countDocuments({ role: 'Admin' });
+    if (existingAdmins > 0 && !args.force) {
+      console.error(`An admin already exists (${existingAdmins}). Use --force to create another one.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const email = await prompt(rl, 'Email: ', args.email);
+    const name = await prompt(rl, 'First name: ', args.name);
+    const familyName = await prompt(rl, 'Family name: ', args['family-name']);
+    const password = await prompt(rl, 'Password (min 6 characters): ', process.env.ADMIN_PASSWORD);
+
+    if (!email || !name || !familyName || !password) {
+      console.error('Email, name, family name and password are all required.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (password.length < 6) {
+      console.error('Password must be at least 6 characters long.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (await User.findOne({ email })) {
+      console.error(`A user with email ${email} already exists.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = new User({
+      name,
+      familyName,
+      email,
+      password,
+      role: 'Admin',
+      isVerified: true
+    });
+    await admin.save();
+
+    console.log(`Admin ${admin.email} created (id ${admin._id}).`);
+  } catch (error) {
+    console.error('Failed to create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    rl.close();
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,81 @@
+// Move the entries embedded in medical records (appointments, prescriptions,
+// diseases, comments, diagnostics) into their own collections.
+// Entries keep their _id, so links and audit entries still point at them.
+// Safe to re-run: copied entries are skipped and the embedded arrays are only
+// removed once every entry of the record has been copied. Copied prescriptions
+// are then given their verification codes.
+//
+// Usage: node scripts/migrate-medical-record-entries.js [--dry-run]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const MedicalRecord = require('../models/MedicalRecord');
+const { ENTRY_MODELS } = require('../services/medicalRecordService');
+const { backfillVerificationCodes } = require('../services/prescriptionService');
+
+const SECTIONS = Object.keys(ENTRY_MODELS);
+
+async function migrateRecord(record, dryRun) {
+  let copied = 0;
+
+  for (const section of SECTIONS) {
+    const entries = record[section] || [];
+    if (entries.length === 0) continue;
+
+    copied += entries.length;
+    if (dryRun) continue;
+
+    await ENTRY_MODELS[section].bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $setOnInsert: { ...entry, patient: record.patient } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  if (!dryRun) {
+    const unset = {};
+    SECTIONS.forEach(section => { unset[section] = 1; });
+    await MedicalRecord.collection.updateOne({ _id: record._id }, { $unset: unset });
+  }
+
+  return copied;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medflow', {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    // Read the raw documents: the model no longer declares the embedded arrays
+    const cursor = MedicalRecord.collection.find({
+      $or: SECTIONS.map(section => ({ [section]: { $exists: true } }))
+    });
+
+    let records = 0;
+    let entries = 0;
+    for await (const record of cursor) {
+      entries += await migrateRecord(record, dryRun);
+      records += 1;
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${entries} entr${entries === 1 ? 'y' : 'ies'} from ${records} medical record(s).`);
+
+    // Raw writes skip the model's hooks, so codes are added here
+    if (!dryRun) {
+      const coded = await backfillVerificationCodes();
+      console.log(`Added verification codes to ${coded} prescription(s).`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,30 @@
+// Purge accounts whose deletion grace period has ended, and delete clinical
+// records whose retention period has ended.
+// The server also runs this hourly; this script is for cron or manual runs.
+//
+// Usage: node scripts/purge-deleted-accounts.js
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { purgeExpiredAccounts, deleteExpiredClinicalRecords } = require('../services/accountDeletionService');
+
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medflow', {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    const purged = await purgeExpiredAccounts();
+    console.log(`Purged ${purged} account(s).`);
+
+    const expired = await deleteExpiredClinicalRecords();
+    console.log(`Deleted the clinical records of ${expired} patient(s) past retention.`);
+  } catch (error) {
+    console.error('Purge failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
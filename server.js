@@ -13,10 +13,16 @@ const notificationsRoutes = require('./routes/notifications');
 const receptionAgentsRoutes = require('./routes/receptionAgents');
 const appointmentInvitationsRoutes = require('./routes/appointmentInvitations');
 const healthAssessmentRoutes = require('./routes/healthAssessment');
+const prescriptionsRoutes = require('./routes/prescriptions');
+const { startScheduledJobs } = require('./services/scheduler');
+const { parseTrustProxy } = require('./middleware/rateLimit');
 const client = require("prom-client");
 
 
 const app = express();
+// Client addresses behind a reverse proxy (see parseTrustProxy): set
+// TRUST_PROXY, e.g. to 1 for a single proxy in front of the app
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 // Collect default Node.js metrics (CPU, memory, etc.)
 client.collectDefaultMetrics();
 
@@ -28,7 +34,8 @@ const httpRequestDurationSeconds = new client.Histogram({
 });
 
 // Middleware
-app.use(cors());
+// Let browsers read the pagination headers of user listings
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Total-Pages', 'Link'] }));
 app.use(express.json());
 
 // Middleware to track HTTP requests
@@ -51,7 +58,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medflow',
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startScheduledJobs();
+})
 .catch(err => {
   console.error('MongoDB connection error:', err.message);
   console.log('Falling back to local MongoDB...');
@@ -66,6 +76,7 @@ app.use('/api/notifications', notificationsRoutes);
 app.use('/api/reception-agents', receptionAgentsRoutes);
 app.use('/api/appointment-invitations', appointmentInvitationsRoutes);
 app.use('/api/health-assessment', healthAssessmentRoutes);
+app.use('/api/prescriptions', prescriptionsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
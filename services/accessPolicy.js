@@ -0,0 +1,233 @@
+// Central access policy: who may do what with a patient's data.
+//
+// Rules are looked up by action and role in POLICY below. Each rule is an
+// async function (user, resource) returning a decision:
+//   { allowed: true, doctorId, sections }  - doctorId is the doctor the access
+//                                            goes through, sections what is shared,
+//                                            emergencyAccessId set for break-glass reads
+//   { allowed: false, message }
+// `user` is the decoded token (req.user); `resource` holds ids such as
+// patientId, doctorId (doctor a reception agent acts for) and authorId
+// (doctor who wrote an existing entry), plus the record section concerned.
+const User = require('../models/User');
+const DoctorRequest = require('../models/DoctorRequest');
+const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
+const { findActiveEmergencyAccess } = require('./emergencyAccessService');
+
+const allow = (context = {}) => ({ allowed: true, ...context });
+const deny = message => ({ allowed: false, message });
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Relationship lookups
+
+// The doctor's current grant for this patient, if any
+async function findGrant(doctorId, patientId) {
+  return await DoctorRequest.findOne(DoctorRequest.activeFilter({ doctor: doctorId, patient: patientId }));
+}
+
+// Doctors whose delegated access a reception agent can use right now.
+// Access through a suspended, deactivated or deleted doctor is paused.
+async function activeDoctorsOf(agentId) {
+  const links = await DoctorReceptionAgent.find({ receptionAgent: agentId, status: 'accepted' }).select('doctor');
+  const doctors = await User.find({
+    _id: { $in: links.map(link => link.doctor) },
+    status: { $nin: ['suspended', 'deactivated'] },
+    deletedAt: null
+  }).select('_id');
+
+  return doctors.map(doctor => doctor._id);
+}
+
+async function agentWorksFor(agentId, doctorId) {
+  const doctorIds = await activeDoctorsOf(agentId);
+  return doctorIds.some(id => sameId(id, doctorId));
+}
+
+// Grants through which a reception agent reaches a patient
+async function findDelegatedGrants(agentId, patientId) {
+  return await DoctorRequest.find(DoctorRequest.activeFilter({
+    doctor: { $in: await activeDoctorsOf(agentId) },
+    patient: patientId
+  }));
+}
+
+// Doctor through whom a reception agent reaches a patient, if any
+async function findDelegatingDoctor(agentId, patientId) {
+  const [grant] = await findDelegatedGrants(agentId, patientId);
+  return grant ? grant.doctor : null;
+}
+
+// Allow within the sections the patient shared; `section` is the part of
+// the record being accessed, if the action concerns only one
+function allowWithinGrant(grant, section) {
+  const sections = grant.getSharedSections();
+  if (section && !sections.includes(section)) {
+    return deny('The patient has not shared this part of their record');
+  }
+  return allow({ doctorId: grant.doctor, sections, accessExpiresAt: grant.accessExpiresAt });
+}
+
+// Rules
+
+const ownRecord = async (user, { patientId }) =>
+  (sameId(user.userId, patientId) ? allow({ sections: DoctorRequest.SHARED_SECTIONS }) : deny('Access denied'));
+
+const treatingDoctor = async (user, { patientId, section }) => {
+  const grant = await findGrant(user.userId, patientId);
+  return grant ? allowWithinGrant(grant, section) : deny('Access denied. Patient has not accepted your request.');
+};
+
+// Without consent, a doctor can still read during an open break-glass window
+const treatingOrEmergencyDoctor = async (user, resource) => {
+  const decision = await treatingDoctor(user, resource);
+  if (decision.allowed) return decision;
+
+  const emergencyAccess = await findActiveEmergencyAccess(user.userId, resource.patientId);
+  if (!emergencyAccess) return decision;
+
+  return allow({
+    doctorId: user.userId,
+    sections: DoctorRequest.SHARED_SECTIONS,
+    accessExpiresAt: emergencyAccess.expiresAt,
+    emergencyAccessId: emergencyAccess._id
+  });
+};
+
+// Reception agents see the union of what the patient shared with their doctors
+const delegatedAgent = async (user, { patientId, section }) => {
+  const grants = (await findDelegatedGrants(user.userId, patientId))
+    .filter(grant => !section || grant.getSharedSections().includes(section));
+  if (grants.length === 0) {
+    return deny('Access denied. This patient is not under any of your doctors.');
+  }
+
+  const sections = [...new Set(grants.flatMap(grant => grant.getSharedSections()))];
+  return allow({ doctorId: grants[0].doctor, sections });
+};
+
+// Reception agent acting for a specific doctor
+const agentForDoctor = async (user, { patientId, doctorId, section }) => {
+  if (!doctorId || !(await agentWorksFor(user.userId, doctorId))) {
+    return deny('You do not have access through this doctor');
+  }
+  const grant = await findGrant(doctorId, patientId);
+  if (!grant) {
+    return deny('This doctor does not have access to this patient');
+  }
+  return allowWithinGrant(grant, section);
+};
+
+// Admins review clinical history as auditors
+const auditor = async () => allow({ sections: DoctorRequest.SHARED_SECTIONS });
+
+// Doctors may only change entries they wrote, and only while they still have access
+const authorDoctor = async (user, resource) => {
+  if (!sameId(user.userId, resource.authorId)) {
+    return deny('You can only modify your own entries');
+  }
+  return treatingDoctor(user, resource);
+};
+
+// Reception agents may change entries (appointments) of the doctors they work for
+const agentForAuthor = async (user, resource) =>
+  agentForDoctor(user, { ...resource, doctorId: resource.authorId });
+
+const POLICY = {
+  'record:read': {
+    Patient: ownRecord,
+    Doctor: treatingOrEmergencyDoctor,
+    'Reception Agent': delegatedAgent
+  },
+  'assessment:read': {
+    Patient: ownRecord,
+    Doctor: treatingOrEmergencyDoctor,
+    'Reception Agent': delegatedAgent
+  },
+  'entry:history': {
+    Patient: ownRecord,
+    Doctor: treatingDoctor,
+    Admin: auditor
+  },
+  'access-log:read': {
+    Patient: ownRecord
+  },
+  'access-log:manage': {
+    Patient: ownRecord
+  },
+  'entry:create': {
+    Doctor: treatingDoctor
+  },
+  'entry:modify': {
+    Doctor: authorDoctor
+  },
+  'appointment:create': {
+    Doctor: treatingDoctor,
+    'Reception Agent': agentForDoctor
+  },
+  'appointment:modify': {
+    Doctor: authorDoctor,
+    'Reception Agent': agentForAuthor
+  }
+};
+
+const READ_ACTIONS = ['record:read', 'assessment:read', 'entry:history', 'access-log:read'];
+
+// Full decision for an action
+async function checkAccess(user, action, resource = {}) {
+  const rules = POLICY[action];
+  if (!rules) {
+    throw new Error(`Unknown access policy action: ${action}`);
+  }
+
+  // Admins viewing as another user can look but never change clinical data
+  if (user && user.impersonatorId && !READ_ACTIONS.includes(action)) {
+    return deny('Clinical data is read-only while impersonating');
+  }
+
+  const rule = user && rules[user.role];
+  if (!rule) {
+    return deny('Access denied');
+  }
+
+  return await rule(user, resource);
+}
+
+async function can(user, action, resource) {
+  const decision = await checkAccess(user, action, resource);
+  return decision.allowed;
+}
+
+// Middleware factory: check an action against a resource built from the request.
+// The decision is kept on req.access for the route handler.
+const requirePermission = (action, getResource = req => ({ patientId: req.params.patientId })) =>
+  async (req, res, next) => {
+    try {
+      const decision = await checkAccess(req.user, action, getResource(req));
+      if (!decision.allowed) {
+        return res.status(403).json({ message: decision.message });
+      }
+      req.access = decision;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  };
+
+// Middleware factory: only let the given roles through
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: `Access denied. ${roles.join(' or ')} role required.` });
+  }
+  next();
+};
+
+module.exports = {
+  POLICY,
+  checkAccess,
+  can,
+  requirePermission,
+  requireRole,
+  activeDoctorsOf,
+  findDelegatingDoctor
+};
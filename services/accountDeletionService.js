@@ -0,0 +1,225 @@
+// Soft deletion, restore, export and purge of user accounts
+const User = require('../models/User');
+const MedicalRecord = require('../models/MedicalRecord');
+const DoctorRequest = require('../models/DoctorRequest');
+const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
+const DoctorCredentialDocument = require('../models/DoctorCredentialDocument');
+const AppointmentInvitation = require('../models/AppointmentInvitation');
+const HealthAssessment = require('../models/HealthAssessment');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const Dispensation = require('../models/Dispensation');
+const Prescription = require('../models/Prescription');
+const { revokeAllSessions } = require('./tokenService');
+const { loadMedicalRecord, deleteMedicalRecord } = require('./medicalRecordService');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+// How long clinical records outlive a purged patient account
+const RECORD_RETENTION_YEARS = parseInt(process.env.CLINICAL_RECORD_RETENTION_YEARS, 10) || 10;
+
+// Mark an account as deleted; it is purged once the grace period ends
+async function softDeleteUser(user, deletedBy) {
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy;
+  user.purgeAfter = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await revokeAllSessions(user._id, 'account_deleted');
+  return user;
+}
+
+async function restoreUser(user) {
+  user.deletedAt = undefined;
+  user.deletedBy = undefined;
+  user.purgeAfter = undefined;
+  await user.save();
+  return user;
+}
+
+// Only accounts the user deleted themselves can be restored by logging in
+function canRestoreByLogin(user) {
+  return !!user.deletedAt && !!user.deletedBy && user.deletedBy.toString() === user._id.toString();
+}
+
+// Everything stored about a user, for the "download my data" export
+async function exportUserData(userId) {
+  const [
+    user,
+    medicalRecord,
+    healthAssessment,
+    doctorRequests,
+    receptionAgentLinks,
+    appointmentInvitations,
+    emergencyAccesses,
+    dispensations,
+    notifications
+  ] = await Promise.all([
+    User.findById(userId).select('-password -verificationCode -verificationCodeExpires'),
+    MedicalRecord.exists({ patient: userId }).then(found => (found ? loadMedicalRecord(userId) : null)),
+    HealthAssessment.findOne({ patient: userId }),
+    DoctorRequest.find({ $or: [{ patient: userId }, { doctor: userId }] }),
+    DoctorReceptionAgent.find({ $or: [{ doctor: userId }, { receptionAgent: userId }] }),
+    AppointmentInvitation.find({ $or: [{ patient: userId }, { doctor: userId }] }),
+    EmergencyAccess.find({ $or: [{ patient: userId }, { doctor: userId }] }),
+    Dispensation.find({ $or: [{ patient: userId }, { pharmacist: userId }] }),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user,
+    medicalRecord,
+    healthAssessment,
+    doctorRequests,
+    receptionAgentLinks,
+    appointmentInvitations,
+    emergencyAccesses,
+    dispensations,
+    notifications
+  };
+}
+
+// Replace a purged account by a tombstone that keeps only its id, role and
+// createdAt, so entries referring to it still resolve. Written directly to
+// skip the password requirement and keep createdAt.
+async function anonymiseUser(userId, fields = {}) {
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      name: 'Deleted',
+      familyName: 'User',
+      email: `deleted-${userId}@deleted.invalid`,
+      purgedAt: new Date(),
+      isVerified: false,
+      ...fields
+    },
+    $unset: {
+      password: 1,
+      speciality: 1,
+      doctorApproval: 1,
+      verificationCode: 1,
+      verificationCodeExpires: 1,
+      pendingEmail: 1,
+      pendingEmailCode: 1,
+      pendingEmailExpires: 1,
+      previousEmail: 1,
+      emailChangeCancelToken: 1,
+      emailChangeCancelExpires: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      activationToken: 1,
+      activationExpires: 1,
+      twoFactor: 1,
+      statusReason: 1,
+      purgeAfter: 1
+    }
+  });
+}
+
+// Purge rules per collection:
+// - Sessions, notifications received, access requests, reception links,
+//   appointment invitations, credential documents and break-glass uses of a
+//   patient's record are deleted.
+// - Notifications the user sent are kept for the recipient, without the sender.
+// - Dispensing records a pharmacist made are kept for the patient and the
+//   prescriber, without the pharmacist.
+// - A patient's health assessment is deleted. Their clinical records (entries,
+//   revision history and dispensing records) fall under legal retention: they
+//   are kept for RECORD_RETENTION_YEARS under an anonymised tombstone, then
+//   deleted by deleteExpiredClinicalRecords.
+// - Clinical entries a doctor wrote in patients' records keep their author as
+//   an anonymised tombstone.
+async function purgeUser(user) {
+  const userId = user._id;
+
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    Notification.deleteMany({ recipient: userId }),
+    Notification.updateMany({ sender: userId }, { $unset: { sender: 1 } }),
+    DoctorRequest.deleteMany({ $or: [{ patient: userId }, { doctor: userId }] }),
+    DoctorReceptionAgent.deleteMany({ $or: [{ doctor: userId }, { receptionAgent: userId }] }),
+    AppointmentInvitation.deleteMany({ $or: [{ patient: userId }, { doctor: userId }] }),
+    DoctorCredentialDocument.deleteMany({ doctor: userId }),
+    ImpersonationSession.deleteMany({ target: userId }),
+    ImpersonationLog.deleteMany({ target: userId }),
+    EmergencyAccess.deleteMany({ patient: userId }),
+    Dispensation.updateMany({ pharmacist: userId }, { $unset: { pharmacist: 1, ip: 1 } }),
+    Prescription.updateMany({ dispensedBy: userId }, { $unset: { dispensedBy: 1 } })
+  ]);
+
+  if (user.role === 'Patient') {
+    await HealthAssessment.deleteOne({ patient: userId });
+
+    const retainRecordsUntil = new Date();
+    retainRecordsUntil.setFullYear(retainRecordsUntil.getFullYear() + RECORD_RETENTION_YEARS);
+    await anonymiseUser(userId, { retainRecordsUntil, notifyOnNewRecordAccess: false });
+    return 'anonymised';
+  }
+
+  if (user.role === 'Doctor') {
+    await anonymiseUser(userId);
+    return 'anonymised';
+  }
+
+  await User.deleteOne({ _id: userId });
+  return 'deleted';
+}
+
+// Scheduled job: delete the clinical records of purged patients whose
+// retention period has ended, then the patient tombstone itself
+async function deleteExpiredClinicalRecords() {
+  const patients = await User.find({
+    role: 'Patient',
+    purgedAt: { $ne: null },
+    retainRecordsUntil: { $lte: new Date() }
+  }).select('_id');
+
+  let deleted = 0;
+  for (const { _id: patientId } of patients) {
+    try {
+      await Promise.all([
+        deleteMedicalRecord(patientId),
+        Dispensation.deleteMany({ patient: patientId })
+      ]);
+      await User.deleteOne({ _id: patientId });
+      deleted += 1;
+    } catch (error) {
+      console.error(`Failed to delete clinical records of patient ${patientId}:`, error);
+    }
+  }
+  return deleted;
+}
+
+// Scheduled job: purge every account whose grace period has ended
+async function purgeExpiredAccounts() {
+  const users = await User.find({
+    deletedAt: { $ne: null },
+    purgeAfter: { $lte: new Date() },
+    purgedAt: null
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+      purged += 1;
+    } catch (error) {
+      console.error(`Failed to purge user ${user._id}:`, error);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  RECORD_RETENTION_YEARS,
+  softDeleteUser,
+  restoreUser,
+  canRestoreByLogin,
+  exportUserData,
+  purgeUser,
+  purgeExpiredAccounts,
+  deleteExpiredClinicalRecords
+};
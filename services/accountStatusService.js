@@ -0,0 +1,56 @@
+// Admin-controlled account status: suspend, deactivate and reinstate
+const User = require('../models/User');
+const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
+const emailService = require('./emailService');
+const { revokeAllSessions } = require('./tokenService');
+const { notifyAccountStatusChange, notifyDelegationPaused } = require('./notificationService');
+
+async function setAccountStatus(user, status, { reason, changedBy }) {
+  const previousStatus = user.status || 'active';
+
+  user.status = status;
+  user.statusReason = status === 'active' ? undefined : reason;
+  user.statusChangedBy = changedBy;
+  user.statusChangedAt = new Date();
+  await user.save();
+
+  // Sign the user out everywhere; authMiddleware also rejects inactive accounts
+  if (status !== 'active') {
+    await revokeAllSessions(user._id, `account_${status}`);
+  }
+
+  await notifyAccountStatusChange(changedBy, user._id, status, reason);
+  const emailResult = await emailService.sendAccountStatusEmail(user.email, user.name, status, reason);
+  if (!emailResult.success) {
+    console.error('Account status email failed:', emailResult.error);
+  }
+
+  // A doctor's reception agents lose (or regain) access to the doctor's patients
+  const wasActive = previousStatus === 'active';
+  if (user.role === 'Doctor' && wasActive !== (status === 'active')) {
+    const links = await DoctorReceptionAgent.find({ doctor: user._id, status: 'accepted' }).select('receptionAgent');
+    const doctorName = `${user.name} ${user.familyName}`;
+    for (const link of links) {
+      await notifyDelegationPaused(changedBy, link.receptionAgent, doctorName, status !== 'active');
+    }
+  }
+
+  return user;
+}
+
+// Load a user whose status an admin may change
+async function findManageableUser(userId, adminId) {
+  const user = await User.findById(userId);
+  if (!user || user.purgedAt) {
+    return { error: { status: 404, message: 'User not found' } };
+  }
+  if (user._id.toString() === adminId) {
+    return { error: { status: 400, message: 'Cannot change the status of your own account' } };
+  }
+  return { user };
+}
+
+module.exports = {
+  setAccountStatus,
+  findManageableUser
+};
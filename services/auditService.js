@@ -0,0 +1,298 @@
+// Append-only, hash-chained audit trail of reads and changes
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const client = require('prom-client');
+const AuditLog = require('../models/AuditLog');
+const AuditChainHead = require('../models/AuditChainHead');
+const AuditDeadLetter = require('../models/AuditDeadLetter');
+const { notifyNewRecordAccess } = require('./recordAccessService');
+
+const GENESIS_HASH = '0'.repeat(64);
+const HEAD_ID = 'audit';
+const RETRY_DELAY_MS = parseInt(process.env.AUDIT_RETRY_DELAY_MS, 10) || 100;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const MAX_APPEND_ATTEMPTS = 8;
+const MAX_CLAIM_CONFLICTS = 100;
+// Last resort when even the dead-letter collection can't be written
+const DEAD_LETTER_FILE = process.env.AUDIT_DEAD_LETTER_FILE || 'audit-dead-letters.jsonl';
+const auditAppendRetries = new client.Counter({
+  name: 'audit_append_retries_total',
+  help: 'Audit entries that could not be stored on the first try and were retried'
+});
+const auditEntriesLost = new client.Counter({
+  name: 'audit_entries_lost_total',
+  help: 'Audit entries that could not be stored in the chain (kept as dead letters when possible)'
+});
+// Never copied into before/after snapshots
+const SECRET_FIELDS = [
+  'password',
+  'verificationCode',
+  'pendingEmailCode',
+  'passwordResetToken',
+  'activationToken',
+  'emailChangeCancelToken',
+  'twoFactor',
+  'refreshTokenHash',
+  'data'
+];
+const HASHED_FIELDS = [
+  'seq', 'actor', 'actorRole', 'impersonator', 'viaDoctor', 'emergencyAccess', 'patient', 'action',
+  'entryType', 'entryId', 'outcome', 'before', 'after', 'ip', 'createdAt', 'prevHash'
+];
+
+// Plain JSON copy with ObjectIds and dates as strings and secrets removed
+function snapshot(value) {
+  if (value === undefined || value === null) return undefined;
+  const plain = JSON.parse(JSON.stringify(typeof value.toObject === 'function' ? value.toObject() : value));
+  if (plain && typeof plain === 'object' && !Array.isArray(plain)) {
+    SECRET_FIELDS.forEach(field => delete plain[field]);
+    delete plain.__v;
+  }
+  return plain;
+}
+
+// JSON with sorted keys, so the same content always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeHash(entry) {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    const value = entry[field];
+    if (value === undefined || value === null) return;
+    content[field] = value instanceof Date ? value.toISOString() : snapshot(value);
+  });
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// Keep only the fields that changed between two snapshots
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (canonicalJson(before[key]) !== canonicalJson(after[key])) {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  });
+  return { before: changedBefore, after: changedAfter };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const retryDelay = attempt => Math.min(MAX_RETRY_DELAY_MS, RETRY_DELAY_MS * 2 ** attempt);
+
+// The chain head, created from the last stored entry on first use
+async function chainHead() {
+  const head = await AuditChainHead.findById(HEAD_ID);
+  if (head) return head;
+
+  const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+  try {
+    return await AuditChainHead.create({ _id: HEAD_ID, seq: last ? last.seq : 0, hash: last ? last.hash : GENESIS_HASH });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return await AuditChainHead.findById(HEAD_ID);
+  }
+}
+
+// Keep an entry that could not be stored, in the dead-letter collection or,
+// failing that, a local file. Lost entries are counted either way.
+async function deadLetter(record, error) {
+  auditEntriesLost.inc();
+  const letter = { seq: record.seq, entry: record.toObject(), error: error.message, failedAt: new Date() };
+  console.error(`Audit entry ${record.seq || '(no seq)'} could not be stored, moving it to the dead letters:`, error.message);
+
+  try {
+    await AuditDeadLetter.create(letter);
+  } catch (storeError) {
+    try {
+      await fs.appendFile(DEAD_LETTER_FILE, `${JSON.stringify(letter)}\n`);
+    } catch (fileError) {
+      console.error('Audit entry lost, dead letter could not be written:', JSON.stringify(letter), fileError);
+    }
+  }
+}
+
+// Append one entry to the chain. The next seq is claimed by moving the head
+// forward only if no one else has; the entry is then stored under it. Database
+// errors are retried with backoff a few times; an entry that still can't be
+// stored goes to the dead letters (with its seq, if claimed) and the chain
+// moves on. Resolves to the stored entry, or null when it was dead-lettered.
+async function appendToChain(entry) {
+  const { before, after } = diff(snapshot(entry.before), snapshot(entry.after));
+  const record = new AuditLog({
+    ...entry,
+    entryId: entry.entryId ? entry.entryId.toString() : undefined,
+    before,
+    after,
+    createdAt: new Date()
+  });
+  // Invalid entries would never store: fail before claiming a seq
+  const invalid = record.validateSync(undefined, { pathsToSkip: ['seq', 'prevHash', 'hash'] });
+  if (invalid) throw invalid;
+
+  let claimed = false;
+  let conflicts = 0;
+  let lastError;
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS;) {
+    try {
+      if (!claimed) {
+        const head = await chainHead();
+        record.seq = head.seq + 1;
+        record.prevHash = head.hash;
+        // Hash exactly what will be stored, after schema casting and defaults
+        record.hash = computeHash(record.toObject());
+
+        claimed = !!(await AuditChainHead.findOneAndUpdate(
+          { _id: HEAD_ID, seq: head.seq },
+          { seq: record.seq, hash: record.hash }
+        ));
+        if (!claimed) {
+          // Another writer took this seq; build on top of theirs
+          if (++conflicts >= MAX_CLAIM_CONFLICTS) {
+            lastError = new Error('Too many concurrent writers on the audit chain');
+            break;
+          }
+          await sleep(Math.random() * RETRY_DELAY_MS);
+          continue;
+        }
+      }
+
+      return await record.save();
+    } catch (error) {
+      // Stored by an earlier attempt whose reply was lost
+      if (claimed && error.code === 11000) return record;
+
+      lastError = error;
+      attempt++;
+      if (attempt < MAX_APPEND_ATTEMPTS) {
+        auditAppendRetries.inc();
+        console.error(`Audit entry not stored yet (attempt ${attempt}), retrying:`, error.message);
+        await sleep(retryDelay(attempt - 1));
+      }
+    }
+  }
+
+  // A seq that was never claimed isn't part of the chain
+  if (!claimed) {
+    record.seq = undefined;
+    record.prevHash = undefined;
+    record.hash = undefined;
+  }
+  await deadLetter(record, lastError);
+  return null;
+}
+
+// Appends from this process go one at a time, in order
+let appendQueue = Promise.resolve();
+
+function recordAudit(entry) {
+  const appended = appendQueue.then(() => appendToChain(entry));
+  appendQueue = appended.catch(() => {});
+  return appended;
+}
+
+// Middleware: audit the request once the response is sent. Handlers can add
+// details (patient, entryType, entryId, before, after, viaDoctor, emergencyAccess)
+// on res.locals.audit.
+// Successful requests and denied ones (403) are recorded.
+const auditTrail = (action, entryType) => (req, res, next) => {
+  res.on('finish', () => {
+    if (!req.user) return;
+    const denied = res.statusCode === 403;
+    if (res.statusCode >= 400 && !denied) return;
+
+    const details = res.locals.audit || {};
+    const { patientId, ...otherParams } = req.params;
+    const viaDoctor = req.user.role === 'Reception Agent' && req.access ? req.access.doctorId : undefined;
+    const emergencyAccess = details.emergencyAccess || (req.access && req.access.emergencyAccessId);
+
+    recordAudit({
+      actor: req.user.userId,
+      actorRole: req.user.role,
+      impersonator: req.user.impersonatorId,
+      viaDoctor: details.viaDoctor || viaDoctor,
+      emergencyAccess,
+      patient: details.patient || patientId,
+      action,
+      entryType: details.entryType || entryType,
+      entryId: details.entryId || Object.values(otherParams).pop(),
+      outcome: denied ? 'denied' : 'success',
+      before: denied ? undefined : details.before,
+      after: denied ? undefined : details.after,
+      ip: req.ip
+    })
+      // Only entries that fail validation end up here; others are dead-lettered
+      .catch(error => {
+        auditEntriesLost.inc();
+        console.error('Audit entry lost:', { action, entryType, actor: req.user.userId, url: req.originalUrl }, error);
+      })
+      .then(record => record && notifyNewRecordAccess(record))
+      .catch(error => console.error('Error notifying record access:', error));
+  });
+  next();
+};
+
+// Why an entry doesn't fit after the previous hash, or null when it does
+function chainProblem(entry, expectedPrevHash) {
+  if (entry.prevHash !== expectedPrevHash) return 'Chain link does not match the previous entry';
+  if (computeHash(entry) !== entry.hash) return 'Entry content does not match its hash';
+  return null;
+}
+
+// Walk the chain in order and report the first entry that doesn't match.
+// Entries kept as dead letters stand in for the seqs they claimed.
+async function verifyAuditChain() {
+  let expectedPrevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+  let deadLettered = 0;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    while (entry.seq > expectedSeq) {
+      const letter = await AuditDeadLetter.findOne({ seq: expectedSeq }).lean();
+      if (!letter) {
+        return { valid: false, checked, deadLettered, brokenAt: expectedSeq, problem: 'Missing entry' };
+      }
+      const problem = chainProblem(letter.entry, expectedPrevHash);
+      if (problem) {
+        return { valid: false, checked, deadLettered, brokenAt: expectedSeq, problem: `Dead letter: ${problem}` };
+      }
+      expectedPrevHash = letter.entry.hash;
+      expectedSeq++;
+      deadLettered++;
+    }
+
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, deadLettered, brokenAt: entry.seq, problem: 'Duplicate entry' };
+    }
+    const problem = chainProblem(entry, expectedPrevHash);
+    if (problem) {
+      return { valid: false, checked, deadLettered, brokenAt: entry.seq, problem };
+    }
+
+    expectedPrevHash = entry.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  return { valid: true, checked, deadLettered };
+}
+
+module.exports = {
+  snapshot,
+  recordAudit,
+  auditTrail,
+  verifyAuditChain
+};
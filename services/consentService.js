@@ -0,0 +1,100 @@
+// Consent terms patients attach to a doctor's access: expiry and shared sections
+const DoctorRequest = require('../models/DoctorRequest');
+const User = require('../models/User');
+const { notifyAccessExpiring } = require('./notificationService');
+
+const EXPIRY_WARNING_DAYS = parseInt(process.env.ACCESS_EXPIRY_WARNING_DAYS, 10) || 3;
+
+// Validate the optional expiry and sections sent when accepting a request.
+// Returns { accessExpiresAt, sharedSections } or { error }.
+function parseGrantScope({ accessExpiresAt, sharedSections }) {
+  const scope = {};
+
+  if (accessExpiresAt !== undefined && accessExpiresAt !== null && accessExpiresAt !== '') {
+    const expiresAt = new Date(accessExpiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      return { error: 'Invalid access expiry date' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'Access expiry must be in the future' };
+    }
+    scope.accessExpiresAt = expiresAt;
+  }
+
+  if (sharedSections !== undefined && sharedSections !== null) {
+    if (!Array.isArray(sharedSections) || sharedSections.length === 0) {
+      return { error: 'Shared sections must be a non-empty list' };
+    }
+    const unknown = sharedSections.filter(section => !DoctorRequest.SHARED_SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      return { error: `Unknown sections: ${unknown.join(', ')}. Allowed: ${DoctorRequest.SHARED_SECTIONS.join(', ')}` };
+    }
+    scope.sharedSections = [...new Set(sharedSections)];
+  }
+
+  return scope;
+}
+
+// Why a doctor can't accept a patient's appointment invitation given their
+// grant for that patient, or null when they can. Only accepting is blocked:
+// an invitation can always be declined, whatever became of the access.
+function invitationAcceptanceError(doctorRequest) {
+  if (!doctorRequest) return null;
+
+  // Revoked access is only given back by the patient accepting a new request
+  if (doctorRequest.status === 'revoked') {
+    return 'The patient has revoked your access. Send a new request to regain access before accepting this invitation.';
+  }
+
+  // Nor is expired access, even once re-requested: the patient renews it by
+  // accepting the request, choosing a new time limit
+  if (doctorRequest.accessExpiresAt && doctorRequest.accessExpiresAt <= new Date()) {
+    return 'Your access to this patient has expired. The patient needs to accept a new request from you before you can accept this invitation.';
+  }
+
+  return null;
+}
+
+// Warn both parties once when a grant is about to expire. Each grant is
+// claimed atomically so concurrent schedulers don't send the warning twice.
+async function warnExpiringGrants() {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  let warned = 0;
+  for (;;) {
+    const grant = await DoctorRequest.findOneAndUpdate(
+      {
+        status: 'accepted',
+        accessExpiresAt: { $gt: now, $lte: horizon },
+        expiryWarningSentAt: null
+      },
+      { $set: { expiryWarningSentAt: now } },
+      { new: true }
+    );
+    if (!grant) {
+      break;
+    }
+
+    try {
+      const [doctor, patient] = await Promise.all([
+        User.findById(grant.doctor).select('name familyName'),
+        User.findById(grant.patient).select('name familyName')
+      ]);
+      if (doctor && patient) {
+        await notifyAccessExpiring(grant, `${doctor.name} ${doctor.familyName}`, `${patient.name} ${patient.familyName}`);
+      }
+      warned += 1;
+    } catch (error) {
+      console.error(`Failed to warn about expiring access ${grant._id}:`, error);
+    }
+  }
+  return warned;
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  parseGrantScope,
+  invitationAcceptanceError,
+  warnExpiringGrants
+};
@@ -0,0 +1,83 @@
+// Minimal CSV reading and writing (RFC 4180 quoting)
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a leading byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV with a header row into objects keyed by header name
+function parseCsvWithHeader(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+
+  return {
+    columns,
+    records: rows.map(cells => Object.fromEntries(
+      columns.map((column, index) => [column, (cells[index] || '').trim()])
+    ))
+  };
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format one CSV line, including the trailing newline
+function formatCsvRow(values) {
+  return values.map(formatCell).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvWithHeader,
+  formatCsvRow
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { revokeAllSessions } = require('./tokenService');
+
+const CODE_TTL = 30 * 60 * 1000; // 30 minutes
+const CANCEL_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_CODE_ATTEMPTS = 5;
+
+// Is the address used by another account, as its email or a pending change?
+async function isEmailTaken(email, exceptUserId) {
+  const existingUser = await User.findOne({
+    _id: { $ne: exceptUserId },
+    $or: [{ email }, { pendingEmail: email, pendingEmailExpires: { $gt: new Date() } }]
+  });
+  return !!existingUser;
+}
+
+// Park the new address on the user, send it a code and warn the current address.
+// While a cancel link sent earlier is still valid it stays the only one: later
+// requests (possibly from whoever took the account over) don't replace it, and
+// cancelling restores the address from before the first change.
+async function requestEmailChange(user, newEmail) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const { emailChangeCancelExpires } = await User.findById(user._id).select('+emailChangeCancelExpires');
+  const cancelWindowOpen = !!emailChangeCancelExpires && emailChangeCancelExpires > new Date();
+
+  user.pendingEmail = newEmail;
+  user.pendingEmailCode = User.hashToken(code);
+  user.pendingEmailExpires = new Date(Date.now() + CODE_TTL);
+  user.pendingEmailAttempts = 0;
+
+  let cancelToken = null;
+  if (!cancelWindowOpen) {
+    cancelToken = crypto.randomBytes(32).toString('hex');
+    user.emailChangeCancelToken = User.hashToken(cancelToken);
+    user.emailChangeCancelExpires = new Date(Date.now() + CANCEL_TTL);
+    user.previousEmail = undefined;
+  }
+  await user.save();
+
+  const codeResult = await emailService.sendEmailChangeCode(user.pendingEmail, code, user.name);
+  if (!codeResult.success) {
+    console.error('Email change code failed:', codeResult.error);
+  }
+
+  const noticeResult = await emailService.sendEmailChangeNotice(user.email, user.pendingEmail, cancelToken, user.name);
+  if (!noticeResult.success) {
+    console.error('Email change notice failed:', noticeResult.error);
+  }
+
+  return codeResult.success;
+}
+
+// Apply the pending change if the code is right.
+// Returns 'confirmed', 'invalid', 'expired', 'too_many_attempts' or 'taken'.
+async function confirmEmailChange(userId, code) {
+  const user = await User.findById(userId).select('+pendingEmailCode +previousEmail');
+  if (!user || !user.pendingEmail || !user.pendingEmailExpires || user.pendingEmailExpires < new Date()) {
+    return 'expired';
+  }
+
+  if (user.pendingEmailCode !== User.hashToken(String(code))) {
+    user.pendingEmailAttempts += 1;
+    if (user.pendingEmailAttempts >= MAX_CODE_ATTEMPTS) {
+      clearPendingEmail(user);
+      await user.save();
+      return 'too_many_attempts';
+    }
+    await user.save();
+    return 'invalid';
+  }
+
+  if (await isEmailTaken(user.pendingEmail, user._id)) {
+    clearPendingEmail(user);
+    await user.save();
+    return 'taken';
+  }
+
+  // Already set by an earlier change in the same cancel window: keep the original address
+  if (!user.previousEmail) {
+    user.previousEmail = user.email;
+  }
+  user.email = user.pendingEmail;
+  user.isVerified = true;
+  clearPendingEmail(user);
+  await user.save();
+
+  return 'confirmed';
+}
+
+// Cancel from the security notice. A change that was already confirmed is
+// rolled back and every session is signed out, since the account may be compromised.
+async function cancelEmailChange(cancelToken) {
+  const user = await User.findOne({
+    emailChangeCancelToken: User.hashToken(cancelToken),
+    emailChangeCancelExpires: { $gt: new Date() }
+  }).select('+previousEmail');
+
+  if (!user) return null;
+
+  let reverted = false;
+  if (user.previousEmail && user.previousEmail !== user.email && !(await isEmailTaken(user.previousEmail, user._id))) {
+    user.email = user.previousEmail;
+    reverted = true;
+  }
+
+  clearPendingEmail(user);
+  user.previousEmail = undefined;
+  user.emailChangeCancelToken = undefined;
+  user.emailChangeCancelExpires = undefined;
+  await user.save();
+
+  if (reverted) {
+    await revokeAllSessions(user._id, 'email_change_cancelled');
+  }
+
+  return { user, reverted };
+}
+
+function clearPendingEmail(user) {
+  user.pendingEmail = undefined;
+  user.pendingEmailCode = undefined;
+  user.pendingEmailExpires = undefined;
+  user.pendingEmailAttempts = 0;
+}
+
+module.exports = {
+  isEmailTaken,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+};
@@ -13,6 +13,73 @@ class EmailService {
     this.fromEmail = process.env.FROM_EMAIL || 'Medflow <onboarding@resend.dev>';
   }
 
+  // Wrap content in the standard Medflow email layout
+  renderLayout(title, content) {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title} - Medflow</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #0F2854 0%, #1C4D8D 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { background: #fff; border: 2px solid #4988C4; padding: 15px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 3px; margin: 20px 0; border-radius: 5px; }
+            .button { display: inline-block; background: #4988C4; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h1>Medflow</h1>
+            <p>Healthcare Management Platform</p>
+          </div>
+          <div class="content">
+            ${content}
+          </div>
+          <div class="footer">
+            <p>This is an automated message from Medflow. Please do not reply to this email.</p>
+            <p>&copy; 2024 Medflow. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `;
+  }
+
+  // Send an email, redirecting to the verified address in development.
+  // devDetails (e.g. codes or links) are logged in development so flows can be tested without a mailbox.
+  async deliver(email, subject, html, devDetails = {}) {
+    try {
+      const recipientEmail = IS_DEVELOPMENT && email !== RESEND_VERIFIED_EMAIL ? RESEND_VERIFIED_EMAIL : email;
+
+      const data = await resend.emails.send({
+        from: this.fromEmail,
+        to: recipientEmail,
+        subject: `${subject} - Medflow`,
+        html: html,
+      });
+
+      if (IS_DEVELOPMENT) {
+        console.log(`\n📧 ${subject.toUpperCase()} EMAIL SENT`);
+        console.log(`📨 To: ${email}`);
+        if (email !== RESEND_VERIFIED_EMAIL) {
+          console.log(`⚠️  Actually sent to: ${recipientEmail} (dev mode)`);
+        }
+        Object.entries(devDetails).forEach(([label, value]) => console.log(`🔑 ${label}: ${value}`));
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error(`❌ Error sending "${subject}" email:`, error);
+      if (IS_DEVELOPMENT) {
+        Object.entries(devDetails).forEach(([label, value]) => console.log(`🔑 ${label} (email failed): ${value}`));
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
   async sendVerificationEmail(email, verificationCode, name) {
     try {
       const html = `
@@ -147,6 +214,101 @@ class EmailService {
       return { success: false, error: error.message };
     }
   }
+
+  async sendEmailChangeCode(newEmail, code, name) {
+    const html = this.renderLayout('Confirm Your New Email', `
+            <h2>Confirm your new email address</h2>
+            <p>Hello ${name},</p>
+            <p>You asked to change the email address of your Medflow account to this address. Enter the code below to confirm the change:</p>
+
+            <div class="code">${code}</div>
+
+            <p><strong>Important:</strong> This code will expire in 30 minutes. Until it is confirmed, your account keeps using your current email address.</p>
+
+            <p>If you didn't request this change, please ignore this email.</p>
+    `);
+
+    return await this.deliver(newEmail, 'Confirm Your New Email', html, { 'Email Change Code': code });
+  }
+
+  // Without a cancelToken, the link from an earlier notice is still the one that works
+  async sendEmailChangeNotice(oldEmail, newEmail, cancelToken, name) {
+    const cancelLink = cancelToken
+      ? `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cancel-email-change?token=${cancelToken}`
+      : null;
+
+    const cancelContent = cancelLink ? `
+            <p>If this was you, no action is needed. If it wasn't, cancel the change right away and then reset your password:</p>
+
+            <a href="${cancelLink}" class="button">Cancel Email Change</a>
+
+            <p><strong>This link stays valid for 7 days</strong>, even if the change has already been confirmed.</p>` : `
+            <p>If this was you, no action is needed. If it wasn't, reset your password right away.</p>
+
+            <p>The Cancel Email Change link in the security notice sent for the first recent email change still works, and restores the address the account had before it.</p>`;
+
+    const html = this.renderLayout('Email Change Requested', `
+            <h2>Security notice: email change requested</h2>
+            <p>Hello ${name},</p>
+            <p>A request was made to change the email address of your Medflow account to <strong>${newEmail}</strong>.</p>
+${cancelContent}
+    `);
+
+    return await this.deliver(oldEmail, 'Email Change Requested', html, cancelLink ? { 'Cancel Link': cancelLink } : {});
+  }
+
+  async sendActivationEmail(email, activationToken, name) {
+    const activationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/activate-account?token=${activationToken}`;
+
+    const html = this.renderLayout('Activate Your Account', `
+            <h2>Welcome to Medflow, ${name}!</h2>
+            <p>An account has been created for you by our clinic staff. To start using it, choose your own password:</p>
+
+            <a href="${activationLink}" class="button">Activate Account</a>
+
+            <p><strong>This link will expire in 7 days.</strong> If it expires, you can request a new one from the login page or ask the reception desk.</p>
+
+            <p>Nobody at the clinic knows your password, and we will never ask you for it.</p>
+    `);
+
+    return await this.deliver(email, 'Activate Your Account', html, { 'Activation Link': activationLink });
+  }
+
+  async sendAccountStatusEmail(email, name, status, reason) {
+    const subjects = {
+      active: 'Your Account Has Been Reinstated',
+      suspended: 'Your Account Has Been Suspended',
+      deactivated: 'Your Account Has Been Deactivated'
+    };
+
+    const body = status === 'active'
+      ? `<p>Your Medflow account has been reinstated. You can sign in again as usual.</p>`
+      : `<p>Your Medflow account has been ${status} by an administrator, and you have been signed out of all devices.</p>
+
+            <p><strong>Reason:</strong> ${reason}</p>
+
+            <p>If you think this is a mistake, please contact your clinic.</p>`;
+
+    const html = this.renderLayout(subjects[status], `
+            <h2>Hello ${name},</h2>
+            ${body}
+    `);
+
+    return await this.deliver(email, subjects[status], html, { Status: status, Reason: reason || '-' });
+  }
+
+  async sendEmergencyAccessEmail(email, name, doctorName, expiresAt) {
+    const html = this.renderLayout('Emergency Access to Your Record', `
+            <h2>Hello ${name},</h2>
+            <p>Dr. ${doctorName} has used emergency access to view your medical record. Emergency access is for urgent care when you cannot give consent yourself.</p>
+
+            <p>The access is read-only and ends at <strong>${expiresAt.toLocaleString()}</strong>. Everything viewed is recorded, and an administrator will review whether the access was justified.</p>
+
+            <p>You can see the details in the access log of your medical record. If you have concerns, please contact your clinic.</p>
+    `);
+
+    return await this.deliver(email, 'Emergency Access to Your Record', html, { Doctor: doctorName, 'Expires At': expiresAt.toISOString() });
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
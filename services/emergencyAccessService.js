@@ -0,0 +1,79 @@
+// Break-glass access: short, read-only access to a record without the
+// patient's consent, announced immediately and reviewed by an admin
+const EmergencyAccess = require('../models/EmergencyAccess');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { notifyEmergencyAccess } = require('./notificationService');
+
+const EMERGENCY_ACCESS_MINUTES = parseInt(process.env.EMERGENCY_ACCESS_MINUTES, 10) || 30;
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+// The doctor's open break-glass window for this patient, if any
+async function findActiveEmergencyAccess(doctorId, patientId) {
+  return await EmergencyAccess.findOne({
+    doctor: doctorId,
+    patient: patientId,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+async function startEmergencyAccess(doctorId, patient, justification, req) {
+  const emergencyAccess = await EmergencyAccess.create({
+    doctor: doctorId,
+    patient: patient._id,
+    justification,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + EMERGENCY_ACCESS_MINUTES * 60 * 1000)
+  });
+
+  const [doctor, admins] = await Promise.all([
+    User.findById(doctorId).select('name familyName'),
+    User.find({ role: 'Admin', deletedAt: null, status: { $nin: ['suspended', 'deactivated'] } }).select('_id')
+  ]);
+  const doctorName = `${doctor.name} ${doctor.familyName}`;
+
+  await notifyEmergencyAccess(emergencyAccess, admins.map(admin => admin._id), doctorName, `${patient.name} ${patient.familyName}`);
+  await emailService.sendEmergencyAccessEmail(patient.email, patient.name, doctorName, emergencyAccess.expiresAt);
+
+  return emergencyAccess;
+}
+
+// A break-glass use with everything done during it, for admin review
+async function getEmergencyAccessDetails(emergencyAccessId) {
+  const emergencyAccess = await EmergencyAccess.findById(emergencyAccessId)
+    .populate('doctor', 'name familyName email speciality')
+    .populate('patient', 'name familyName email')
+    .populate('review.reviewedBy', 'name familyName')
+    .lean();
+  if (!emergencyAccess) return null;
+
+  const actions = await AuditLog.find({ emergencyAccess: emergencyAccess._id })
+    .select('action entryType entryId outcome ip createdAt')
+    .sort({ seq: 1 })
+    .lean();
+
+  return { ...emergencyAccess, actions };
+}
+
+async function reviewEmergencyAccess(emergencyAccessId, adminId, status, note) {
+  return await EmergencyAccess.findOneAndUpdate(
+    { _id: emergencyAccessId, 'review.status': 'pending' },
+    {
+      'review.status': status,
+      'review.reviewedBy': adminId,
+      'review.reviewedAt': new Date(),
+      'review.note': note
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  EMERGENCY_ACCESS_MINUTES,
+  MIN_JUSTIFICATION_LENGTH,
+  findActiveEmergencyAccess,
+  startEmergencyAccess,
+  getEmergencyAccessDetails,
+  reviewEmergencyAccess
+};
@@ -0,0 +1,154 @@
+// Version history for clinical entries: updates add revisions and deletes
+// become "entered in error" retractions, so nothing written is ever lost
+const EntryRevision = require('../models/EntryRevision');
+const { ENTRY_MODELS } = require('./medicalRecordService');
+const { snapshot } = require('./auditService');
+
+// Entry type (as used in URLs and the audit trail) -> record section
+const CLINICAL_ENTRY_TYPES = {
+  prescription: 'prescriptions',
+  disease: 'diseases',
+  comment: 'comments',
+  diagnostic: 'diagnostics'
+};
+
+const DEFAULT_RETRACTION_REASON = 'Entered in error';
+
+function revisionOf(entryType, entry, { revision, action, changedBy, reason, data, createdAt }) {
+  return {
+    entryType,
+    entry: entry._id,
+    patient: entry.patient,
+    revision,
+    action,
+    changedBy,
+    reason,
+    data,
+    createdAt
+  };
+}
+
+async function recordCreation(entryType, entry, changedBy) {
+  return await EntryRevision.create(revisionOf(entryType, entry, {
+    revision: entry.revision || 1,
+    action: 'create',
+    changedBy,
+    data: snapshot(entry)
+  }));
+}
+
+// Store a revision once: retries and concurrent writers of the same
+// revision number leave a single document
+async function storeRevision(revision) {
+  const { entryType, entry, revision: number, ...rest } = revision;
+  await EntryRevision.updateOne(
+    { entryType, entry, revision: number },
+    { $setOnInsert: rest },
+    { upsert: true }
+  );
+}
+
+// Filter matching an entry still at the given revision. Entries from before
+// revisions were kept have no revision field yet and count as revision 1.
+function atRevision(revision) {
+  return revision === 1
+    ? { $or: [{ revision: 1 }, { revision: { $exists: false } }] }
+    : { revision };
+}
+
+// Save a change made to an entry (in memory) as a new revision. `before` is
+// the snapshot taken before the change; entries written before revisions were
+// kept get it stored as their first revision.
+// The entry is only written if nobody changed it since it was loaded. Returns
+// { revision } or { error, status: 409 } when it was changed in the meantime.
+async function saveRevision(entryType, entry, { action, changedBy, reason, before }) {
+  const previous = entry.revision || 1;
+  const hasHistory = await EntryRevision.exists({ entryType, entry: entry._id });
+  if (!hasHistory) {
+    await storeRevision(revisionOf(entryType, entry, {
+      revision: previous,
+      action: 'create',
+      changedBy: entry.doctor,
+      data: before,
+      createdAt: entry.createdAt
+    }));
+  }
+
+  const changes = entry.getChanges();
+  const updated = await entry.constructor.findOneAndUpdate(
+    { _id: entry._id, ...atRevision(previous) },
+    { ...changes, $set: { ...changes.$set, revision: previous + 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'This entry was changed by someone else in the meantime. Reload it and try again.', status: 409 };
+  }
+  entry.revision = updated.revision;
+
+  const revision = revisionOf(entryType, entry, {
+    revision: entry.revision,
+    action,
+    changedBy,
+    reason,
+    data: snapshot(entry),
+    createdAt: new Date()
+  });
+  await storeRevision(revision);
+  return { revision };
+}
+
+async function retractEntry(entryType, entry, { changedBy, reason, before }) {
+  entry.retractedAt = new Date();
+  entry.retractedBy = changedBy;
+  entry.retractionReason = reason || DEFAULT_RETRACTION_REASON;
+  return await saveRevision(entryType, entry, { action: 'retract', changedBy, reason: entry.retractionReason, before });
+}
+
+// An entry and its revision chain, oldest first
+async function getEntryHistory(entryType, patientId, entryId) {
+  const Model = ENTRY_MODELS[CLINICAL_ENTRY_TYPES[entryType]];
+  const entry = await Model.findOne({ _id: entryId, patient: patientId })
+    .populate('doctor', 'name familyName speciality')
+    .populate('retractedBy', 'name familyName role');
+  if (!entry) return null;
+
+  let revisions = await EntryRevision.find({ entryType, entry: entry._id })
+    .populate('changedBy', 'name familyName role')
+    .sort({ revision: 1 })
+    .lean();
+
+  // Never changed since before revisions were kept: the entry is its only version
+  if (revisions.length === 0) {
+    revisions = [{
+      revision: entry.revision || 1,
+      action: 'create',
+      changedBy: entry.doctor,
+      data: snapshot(entry),
+      createdAt: entry.createdAt
+    }];
+  }
+
+  return {
+    entryType,
+    entryId: entry._id,
+    current: entry,
+    retracted: !!entry.retractedAt,
+    revisions: revisions.map(revision => ({
+      revision: revision.revision,
+      action: revision.action,
+      changedBy: revision.changedBy,
+      changedAt: revision.createdAt,
+      reason: revision.reason,
+      data: revision.data
+    }))
+  };
+}
+
+module.exports = {
+  CLINICAL_ENTRY_TYPES,
+  atRevision,
+  recordCreation,
+  saveRevision,
+  retractEntry,
+  getEntryHistory
+};
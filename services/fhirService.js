@@ -0,0 +1,336 @@
+// FHIR R4 export and import of a patient's medical record.
+//
+// Mapping:
+//   User (patient)  <-> Patient
+//   User (doctor)    -> Practitioner (export only; imported entries are
+//                       authored by the importing doctor)
+//   appointments    <-> Appointment
+//   prescriptions   <-> MedicationRequest
+//   diseases        <-> Condition
+//   diagnostics     <-> Observation
+//   comments        <-> ClinicalImpression, one Annotation note per comment
+const { ENTRY_MODELS } = require('./medicalRecordService');
+
+const FHIR_BASE_URL = process.env.FHIR_BASE_URL || `http://localhost:${process.env.PORT || 5000}/fhir`;
+const IDENTIFIER_SYSTEM = 'urn:medflow';
+const CHRONIC_EXTENSION = 'https://medflow.app/fhir/StructureDefinition/condition-chronic';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const MAX_BUNDLE_ENTRIES = 1000;
+
+// Helpers
+
+const reference = (resourceType, id) => ({ reference: `${resourceType}/${id}` });
+const identifier = (kind, id) => [{ system: `${IDENTIFIER_SYSTEM}:${kind}`, value: id.toString() }];
+const isoDate = value => (value ? new Date(value).toISOString() : undefined);
+const notes = text => (text ? [{ text }] : undefined);
+const idOf = value => (value && value._id ? value._id : value).toString();
+
+function conceptText(concept) {
+  if (!concept) return undefined;
+  if (concept.text) return concept.text;
+  const coding = (concept.coding || []).find(code => code.display || code.code);
+  return coding && (coding.display || coding.code);
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function humanName(user) {
+  return [{ family: user.familyName, given: [user.name] }];
+}
+
+// Export
+
+const toFhir = {
+  appointments: (entry, patientId) => ({
+    resourceType: 'Appointment',
+    id: entry._id.toString(),
+    identifier: identifier('appointments', entry._id),
+    status: new Date(entry.date) > new Date() ? 'booked' : 'fulfilled',
+    description: entry.reason,
+    start: isoDate(entry.date),
+    created: isoDate(entry.createdAt),
+    comment: entry.notes,
+    participant: [
+      { actor: reference('Patient', patientId), status: 'accepted' },
+      { actor: reference('Practitioner', idOf(entry.doctor)), status: 'accepted' }
+    ]
+  }),
+  prescriptions: (entry, patientId) => ({
+    resourceType: 'MedicationRequest',
+    id: entry._id.toString(),
+    identifier: identifier('prescriptions', entry._id),
+    status: 'active',
+    intent: 'order',
+    medicationCodeableConcept: { text: entry.medication },
+    subject: reference('Patient', patientId),
+    requester: reference('Practitioner', idOf(entry.doctor)),
+    authoredOn: isoDate(entry.createdAt),
+    dosageInstruction: [{
+      text: entry.dosage,
+      patientInstruction: entry.instructions,
+      timing: entry.duration ? { code: { text: entry.duration } } : undefined
+    }]
+  }),
+  diseases: (entry, patientId) => ({
+    resourceType: 'Condition',
+    id: entry._id.toString(),
+    identifier: identifier('diseases', entry._id),
+    extension: entry.status === 'chronic' ? [{ url: CHRONIC_EXTENSION, valueBoolean: true }] : undefined,
+    clinicalStatus: {
+      coding: [{ system: CONDITION_CLINICAL, code: entry.status === 'resolved' ? 'resolved' : 'active' }]
+    },
+    code: { text: entry.name },
+    subject: reference('Patient', patientId),
+    onsetDateTime: isoDate(entry.diagnosedDate),
+    recordedDate: isoDate(entry.createdAt),
+    recorder: reference('Practitioner', idOf(entry.doctor)),
+    note: notes(entry.notes)
+  }),
+  diagnostics: (entry, patientId) => ({
+    resourceType: 'Observation',
+    id: entry._id.toString(),
+    identifier: identifier('diagnostics', entry._id),
+    status: 'final',
+    code: { text: entry.testName },
+    subject: reference('Patient', patientId),
+    effectiveDateTime: isoDate(entry.testDate),
+    issued: isoDate(entry.createdAt),
+    performer: [reference('Practitioner', idOf(entry.doctor))],
+    valueString: entry.results,
+    note: notes(entry.notes)
+  }),
+  comments: (entry, patientId) => ({
+    resourceType: 'ClinicalImpression',
+    id: entry._id.toString(),
+    identifier: identifier('comments', entry._id),
+    status: 'completed',
+    subject: reference('Patient', patientId),
+    assessor: reference('Practitioner', idOf(entry.doctor)),
+    date: isoDate(entry.createdAt),
+    note: [{
+      authorReference: reference('Practitioner', idOf(entry.doctor)),
+      time: isoDate(entry.createdAt),
+      text: entry.text
+    }]
+  })
+};
+
+// Drop undefined values so the output only carries fields that are set
+const compact = value => JSON.parse(JSON.stringify(value));
+
+// Bundle of the patient, the doctors who wrote entries, and the record
+// sections in `record` (as returned by loadMedicalRecord)
+function buildBundle(patient, record, sections) {
+  const patientId = patient._id.toString();
+  const resources = [{
+    resourceType: 'Patient',
+    id: patientId,
+    identifier: identifier('user', patient._id),
+    name: humanName(patient),
+    telecom: patient.email ? [{ system: 'email', value: patient.email }] : undefined
+  }];
+
+  const practitioners = new Map();
+  sections.filter(section => toFhir[section] && record[section]).forEach(section => {
+    record[section].forEach(entry => {
+      if (entry.doctor && entry.doctor._id && !practitioners.has(idOf(entry.doctor))) {
+        practitioners.set(idOf(entry.doctor), {
+          resourceType: 'Practitioner',
+          id: idOf(entry.doctor),
+          identifier: identifier('user', entry.doctor._id),
+          name: humanName(entry.doctor),
+          qualification: entry.doctor.speciality ? [{ code: { text: entry.doctor.speciality } }] : undefined
+        });
+      }
+      resources.push(toFhir[section](entry, patientId));
+    });
+  });
+  resources.splice(1, 0, ...practitioners.values());
+
+  return compact({
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    total: resources.length,
+    entry: resources.map(resource => ({
+      fullUrl: `${FHIR_BASE_URL}/${resource.resourceType}/${resource.id}`,
+      resource
+    }))
+  });
+}
+
+// Import
+
+// Resource type -> record section and a parser returning entry fields or an error
+const fromFhir = {
+  Appointment: {
+    section: 'appointments',
+    parse: resource => {
+      const date = parseDate(resource.start);
+      if (!date) return { error: 'start must be a valid dateTime' };
+      const reason = resource.description || conceptText((resource.reasonCode || [])[0]);
+      if (!reason) return { error: 'description or reasonCode is required' };
+      return { fields: { date, reason, notes: resource.comment } };
+    }
+  },
+  MedicationRequest: {
+    section: 'prescriptions',
+    parse: resource => {
+      const medication = conceptText(resource.medicationCodeableConcept);
+      if (!medication) return { error: 'medicationCodeableConcept is required' };
+      const dosage = (resource.dosageInstruction || [])[0];
+      if (!dosage || !dosage.text) return { error: 'dosageInstruction[0].text is required' };
+      return {
+        fields: {
+          medication,
+          dosage: dosage.text,
+          duration: dosage.timing && conceptText(dosage.timing.code),
+          instructions: dosage.patientInstruction
+        }
+      };
+    }
+  },
+  Condition: {
+    section: 'diseases',
+    parse: resource => {
+      const name = conceptText(resource.code);
+      if (!name) return { error: 'code is required' };
+      const diagnosedDate = parseDate(resource.onsetDateTime) || parseDate(resource.recordedDate);
+      if (!diagnosedDate) return { error: 'onsetDateTime or recordedDate must be a valid dateTime' };
+
+      const clinicalStatus = conceptText(resource.clinicalStatus);
+      const chronic = (resource.extension || []).some(ext => ext.url === CHRONIC_EXTENSION && ext.valueBoolean);
+      let status = ['inactive', 'remission', 'resolved'].includes(clinicalStatus) ? 'resolved' : 'active';
+      if (chronic && status === 'active') status = 'chronic';
+
+      return { fields: { name, diagnosedDate, status, notes: (resource.note || []).map(note => note.text).join('\n') || undefined } };
+    }
+  },
+  Observation: {
+    section: 'diagnostics',
+    parse: resource => {
+      const testName = conceptText(resource.code);
+      if (!testName) return { error: 'code is required' };
+      const testDate = parseDate(resource.effectiveDateTime) || parseDate(resource.issued);
+      if (!testDate) return { error: 'effectiveDateTime or issued must be a valid dateTime' };
+
+      const quantity = resource.valueQuantity;
+      const results = resource.valueString
+        || (quantity && quantity.value !== undefined ? `${quantity.value}${quantity.unit ? ` ${quantity.unit}` : ''}` : undefined)
+        || conceptText(resource.valueCodeableConcept);
+      if (!results) return { error: 'valueString, valueQuantity or valueCodeableConcept is required' };
+
+      return { fields: { testName, testDate, results, notes: (resource.note || []).map(note => note.text).join('\n') || undefined } };
+    }
+  },
+  ClinicalImpression: {
+    section: 'comments',
+    parse: resource => {
+      const text = (resource.note || []).map(note => note.text).filter(Boolean).join('\n') || resource.summary;
+      if (!text) return { error: 'note or summary is required' };
+      return { fields: { text } };
+    }
+  }
+};
+
+// Resources that are accepted but not stored as entries
+const IGNORED_RESOURCES = ['Patient', 'Practitioner'];
+
+// Key used to recognise a resource that was imported before
+function externalIdOf(resource) {
+  const id = (resource.identifier || []).find(item => item.system && item.value);
+  if (id) return `${id.system}|${id.value}`;
+  return resource.id ? `${resource.resourceType}/${resource.id}` : undefined;
+}
+
+// Validate a Bundle. Returns { error } or { entries: [{ index, section,
+// resourceType, fields, externalId, error }] } with one item per importable resource.
+function parseBundle(bundle) {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    return { error: 'Body must be a FHIR Bundle resource' };
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    return { error: 'Bundle has no entries' };
+  }
+  if (bundle.entry.length > MAX_BUNDLE_ENTRIES) {
+    return { error: `Bundle has too many entries (maximum ${MAX_BUNDLE_ENTRIES})` };
+  }
+
+  const entries = [];
+  bundle.entry.forEach((item, index) => {
+    const resource = item && item.resource;
+    if (!resource || typeof resource.resourceType !== 'string') {
+      entries.push({ index, error: 'entry.resource with a resourceType is required' });
+      return;
+    }
+    if (IGNORED_RESOURCES.includes(resource.resourceType)) return;
+
+    const mapping = fromFhir[resource.resourceType];
+    if (!mapping) {
+      entries.push({ index, resourceType: resource.resourceType, error: `Unsupported resource type ${resource.resourceType}` });
+      return;
+    }
+
+    const parsed = mapping.parse(resource);
+    entries.push({
+      index,
+      resourceType: resource.resourceType,
+      section: mapping.section,
+      fields: parsed.fields,
+      externalId: externalIdOf(resource),
+      error: parsed.error
+    });
+  });
+
+  return { entries };
+}
+
+// Whether a resource is already part of the record: imported earlier, or one
+// of this record's own entries exported from here
+async function isAlreadyInRecord(patientId, { section, externalId }) {
+  if (!externalId) return false;
+  const Model = ENTRY_MODELS[section];
+
+  const ownPrefix = `${IDENTIFIER_SYSTEM}:${section}|`;
+  if (externalId.startsWith(ownPrefix)) {
+    const ownId = externalId.slice(ownPrefix.length);
+    if (/^[a-f0-9]{24}$/i.test(ownId) && await Model.exists({ _id: ownId, patient: patientId })) {
+      return true;
+    }
+  }
+
+  return !!(await Model.exists({ patient: patientId, externalId }));
+}
+
+// Create the parsed entries that aren't in the record yet
+async function mergeEntries(patientId, doctorId, entries) {
+  const created = [];
+  let skipped = 0;
+
+  for (const entry of entries) {
+    if (await isAlreadyInRecord(patientId, entry)) {
+      skipped += 1;
+      continue;
+    }
+
+    const document = await ENTRY_MODELS[entry.section].create({
+      ...entry.fields,
+      patient: patientId,
+      doctor: doctorId,
+      externalId: entry.externalId
+    });
+    created.push({ section: entry.section, entry: document });
+  }
+
+  return { created, skipped };
+}
+
+module.exports = {
+  buildBundle,
+  parseBundle,
+  mergeEntries
+};
@@ -0,0 +1,95 @@
+// Admin impersonation ("view as user"): start, verify, audit and end
+const User = require('../models/User');
+const ImpersonationSession = require('../models/ImpersonationSession');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { signImpersonationToken } = require('./tokenService');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+
+async function startImpersonation(adminId, target, reason, req) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  const impersonation = await ImpersonationSession.create({
+    admin: adminId,
+    target: target._id,
+    reason,
+    ip: req.ip,
+    expiresAt
+  });
+
+  const token = signImpersonationToken(target, adminId, impersonation._id.toString(), expiresAt);
+  return { token, impersonation };
+}
+
+// Check an impersonation token's session is still open and both accounts are usable
+async function verifyImpersonation(decoded) {
+  const impersonation = await ImpersonationSession.findOne({
+    _id: decoded.impersonationId,
+    admin: decoded.impersonatorId,
+    target: decoded.userId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!impersonation) return null;
+
+  const admin = await User.findById(decoded.impersonatorId).select('role status deletedAt');
+  if (!admin || admin.role !== 'Admin' || admin.deletedAt || !admin.isActive()) return null;
+
+  return impersonation;
+}
+
+// Record every request made under impersonation once the response is sent
+function recordImpersonatedRequest(req, res) {
+  res.on('finish', () => {
+    ImpersonationLog.create({
+      impersonation: req.user.impersonationId,
+      admin: req.user.impersonatorId,
+      target: req.user.userId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Error recording impersonated request:', error));
+  });
+}
+
+async function endImpersonation(impersonationId, adminId) {
+  return await ImpersonationSession.findOneAndUpdate(
+    { _id: impersonationId, admin: adminId, endedAt: null },
+    { endedAt: new Date() },
+    { new: true }
+  );
+}
+
+// Impersonation sessions on a user's account, with the requests made in each
+async function listImpersonationsOf(userId) {
+  const impersonations = await ImpersonationSession.find({ target: userId })
+    .populate('admin', 'name familyName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const logs = await ImpersonationLog.find({ impersonation: { $in: impersonations.map(session => session._id) } })
+    .select('impersonation method path statusCode createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return impersonations.map(session => ({
+    id: session._id,
+    admin: session.admin,
+    reason: session.reason,
+    startedAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    endedAt: session.endedAt,
+    requests: logs
+      .filter(log => log.impersonation.toString() === session._id.toString())
+      .map(({ method, path, statusCode, createdAt }) => ({ method, path, statusCode, at: createdAt }))
+  }));
+}
+
+module.exports = {
+  IMPERSONATION_TTL_MINUTES,
+  startImpersonation,
+  verifyImpersonation,
+  recordImpersonatedRequest,
+  endImpersonation,
+  listImpersonationsOf
+};
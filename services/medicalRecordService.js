@@ -0,0 +1,71 @@
+// Medical records are assembled from one collection per entry type
+const mongoose = require('mongoose');
+const MedicalRecord = require('../models/MedicalRecord');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const Disease = require('../models/Disease');
+const Comment = require('../models/Comment');
+const Diagnostic = require('../models/Diagnostic');
+const EntryRevision = require('../models/EntryRevision');
+
+// Record section -> model holding its entries
+const ENTRY_MODELS = {
+  appointments: Appointment,
+  prescriptions: Prescription,
+  diseases: Disease,
+  comments: Comment,
+  diagnostics: Diagnostic
+};
+
+const DOCTOR_FIELDS = 'name familyName speciality';
+
+// Get the patient's record, creating it on first use
+async function ensureMedicalRecord(patientId) {
+  return await MedicalRecord.findOneAndUpdate(
+    { patient: patientId },
+    { $setOnInsert: { patient: patientId } },
+    { upsert: true, new: true }
+  );
+}
+
+// The record in its original shape, with only the requested sections filled in.
+// Entries retracted as entered in error are left out; their history keeps them.
+async function loadMedicalRecord(patientId, sections = Object.keys(ENTRY_MODELS)) {
+  const record = await ensureMedicalRecord(patientId);
+  const loaded = sections.filter(section => ENTRY_MODELS[section]);
+
+  const entries = await Promise.all(loaded.map(section =>
+    ENTRY_MODELS[section].find({ patient: patientId, retractedAt: null })
+      .populate('doctor', DOCTOR_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+  ));
+
+  const result = record.toObject();
+  loaded.forEach((section, index) => {
+    result[section] = entries[index];
+  });
+  return result;
+}
+
+// One entry of a patient's record; null for unknown or malformed ids
+async function findEntry(Model, patientId, entryId) {
+  if (!mongoose.isValidObjectId(entryId)) return null;
+  return await Model.findOne({ _id: entryId, patient: patientId });
+}
+
+async function deleteMedicalRecord(patientId) {
+  await Promise.all([
+    MedicalRecord.deleteOne({ patient: patientId }),
+    EntryRevision.deleteMany({ patient: patientId }),
+    ...Object.values(ENTRY_MODELS).map(Model => Model.deleteMany({ patient: patientId }))
+  ]);
+}
+
+module.exports = {
+  ENTRY_MODELS,
+  DOCTOR_FIELDS,
+  ensureMedicalRecord,
+  loadMedicalRecord,
+  findEntry,
+  deleteMedicalRecord
+};
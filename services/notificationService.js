@@ -55,6 +55,61 @@ async function notifyRequestRejected(patientId, doctorId, patientName) {
   });
 }
 
+// Notification for access revoked by the patient
+async function notifyRequestRevoked(patientId, doctorId, patientName) {
+  return await createNotification({
+    recipient: doctorId,
+    sender: patientId,
+    type: 'request_revoked',
+    title: 'Access Revoked',
+    message: `${patientName} has revoked your access to their medical records`,
+    link: '/dashboard/doctor-patients'
+  });
+}
+
+// Notifications for both sides of a grant that is about to expire
+async function notifyAccessExpiring(grant, doctorName, patientName) {
+  const expiresOn = grant.accessExpiresAt.toLocaleDateString();
+  await createNotification({
+    recipient: grant.patient,
+    sender: grant.doctor,
+    type: 'access_expiring',
+    title: 'Doctor Access Expiring',
+    message: `Dr. ${doctorName}'s access to your medical records expires on ${expiresOn}`,
+    link: '/dashboard/doctor-requests'
+  });
+  await createNotification({
+    recipient: grant.doctor,
+    sender: grant.patient,
+    type: 'access_expiring',
+    title: 'Patient Access Expiring',
+    message: `Your access to ${patientName}'s medical records expires on ${expiresOn}`,
+    link: '/dashboard/doctor-patients'
+  });
+}
+
+// Notifications for break-glass access: the patient, and every admin for review
+async function notifyEmergencyAccess(emergencyAccess, adminIds, doctorName, patientName) {
+  await createNotification({
+    recipient: emergencyAccess.patient,
+    sender: emergencyAccess.doctor,
+    type: 'emergency_access',
+    title: 'Emergency Access to Your Record',
+    message: `Dr. ${doctorName} used emergency access to view your medical record. The access will be reviewed by an administrator.`,
+    link: `/dashboard/medical-record/${emergencyAccess.patient}/access-log`
+  });
+  for (const adminId of adminIds) {
+    await createNotification({
+      recipient: adminId,
+      sender: emergencyAccess.doctor,
+      type: 'emergency_access',
+      title: 'Emergency Access Needs Review',
+      message: `Dr. ${doctorName} used emergency access to ${patientName}'s medical record`,
+      link: '/dashboard/emergency-access'
+    });
+  }
+}
+
 // Notification for new medical record entry
 async function notifyMedicalRecordUpdate(doctorId, patientId, type, doctorName) {
   const typeLabels = {
@@ -75,10 +130,77 @@ async function notifyMedicalRecordUpdate(doctorId, patientId, type, doctorName)
   });
 }
 
+// Notification for entries imported into a patient's record from another system
+async function notifyRecordImported(doctorId, patientId, count, doctorName) {
+  return await createNotification({
+    recipient: patientId,
+    sender: doctorId,
+    type: 'record_updated',
+    title: 'Medical Record Updated',
+    message: `Dr. ${doctorName} imported ${count} entr${count === 1 ? 'y' : 'ies'} into your medical record`,
+    link: `/dashboard/medical-record/${patientId}`
+  });
+}
+
+// Notification for doctor credential review outcome
+async function notifyCredentialReview(adminId, doctorId, approved, reason) {
+  return await createNotification({
+    recipient: doctorId,
+    sender: adminId,
+    type: 'credentials_reviewed',
+    title: approved ? 'Credentials Approved' : 'Credentials Rejected',
+    message: approved
+      ? 'Your medical credentials have been approved. You can now access patient records.'
+      : `Your medical credentials were rejected: ${reason}`,
+    link: '/dashboard/credentials'
+  });
+}
+
+// Notification for an admin changing an account's status
+async function notifyAccountStatusChange(adminId, userId, status, reason) {
+  const titles = {
+    active: 'Account Reinstated',
+    suspended: 'Account Suspended',
+    deactivated: 'Account Deactivated'
+  };
+
+  return await createNotification({
+    recipient: userId,
+    sender: adminId,
+    type: 'account_status',
+    title: titles[status],
+    message: status === 'active'
+      ? 'Your account has been reinstated. You can use Medflow again.'
+      : `Your account has been ${status}: ${reason}`,
+    link: '/dashboard/profile'
+  });
+}
+
+// Notification for reception agents when their doctor's account is suspended or reinstated
+async function notifyDelegationPaused(adminId, receptionAgentId, doctorName, paused) {
+  return await createNotification({
+    recipient: receptionAgentId,
+    sender: adminId,
+    type: 'account_status',
+    title: paused ? 'Doctor Access Paused' : 'Doctor Access Resumed',
+    message: paused
+      ? `Dr. ${doctorName}'s account is no longer active. Your access to their patients is paused.`
+      : `Dr. ${doctorName}'s account has been reinstated. Your access to their patients is restored.`,
+    link: '/dashboard/my-doctors'
+  });
+}
+
 module.exports = {
   createNotification,
   notifyDoctorRequest,
   notifyRequestAccepted,
   notifyRequestRejected,
-  notifyMedicalRecordUpdate
+  notifyRequestRevoked,
+  notifyAccessExpiring,
+  notifyEmergencyAccess,
+  notifyMedicalRecordUpdate,
+  notifyRecordImported,
+  notifyCredentialReview,
+  notifyAccountStatusChange,
+  notifyDelegationPaused
 };
@@ -0,0 +1,197 @@
+// Printable PDFs: the full medical record and single prescription sheets.
+// Rendered with pdfkit, using the same branding as the emails.
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  brand: '#0F2854',
+  accent: '#4988C4',
+  text: '#333333',
+  muted: '#666666',
+  panel: '#F9F9F9'
+};
+const MARGIN = 50;
+const HEADER_HEIGHT = 90;
+
+const fullName = user => (user ? `${user.name} ${user.familyName}` : 'Unknown');
+const doctorLabel = doctor => (doctor ? `Dr. ${fullName(doctor)}${doctor.speciality ? ` (${doctor.speciality})` : ''}` : 'Unknown doctor');
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+function createDocument(title) {
+  return new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: `${title} - Medflow`, Author: 'Medflow', Creator: 'Medflow' }
+  });
+}
+
+// Brand header on the first page, like the email layout
+function drawHeader(doc, subtitle) {
+  doc.rect(0, 0, doc.page.width, HEADER_HEIGHT).fill(COLORS.brand);
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(24).text('Medflow', MARGIN, 25);
+  doc.font('Helvetica').fontSize(11).text(subtitle || 'Healthcare Management Platform', MARGIN, 56);
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(11);
+  doc.y = HEADER_HEIGHT + 25;
+}
+
+// Generation note and page numbers on every page
+function drawFooters(doc) {
+  const generatedAt = new Date().toLocaleString('en-GB');
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(
+      `Generated by Medflow on ${generatedAt}  ·  Page ${i + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - 35,
+      { width: doc.page.width - 2 * MARGIN, align: 'center' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+function sectionTitle(doc, title) {
+  if (doc.y > doc.page.height - 150) doc.addPage();
+  doc.moveDown(0.8);
+  doc.fillColor(COLORS.brand).font('Helvetica-Bold').fontSize(14).text(title, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(1).strokeColor(COLORS.accent).stroke();
+  doc.moveDown(0.6);
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+}
+
+function field(doc, label, value) {
+  if (value === undefined || value === null || value === '') return;
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+}
+
+function entryBlock(doc, heading, fields) {
+  if (doc.y > doc.page.height - 120) doc.addPage();
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(heading);
+  doc.fontSize(10);
+  fields.forEach(([label, value]) => field(doc, label, value));
+  doc.moveDown(0.6);
+}
+
+// How each record section is printed
+const RECORD_SECTIONS = [
+  {
+    key: 'appointments',
+    title: 'Appointments',
+    render: (doc, entry) => entryBlock(doc, `${formatDate(entry.date)} - ${entry.reason}`, [
+      ['Doctor', doctorLabel(entry.doctor)],
+      ['Notes', entry.notes]
+    ])
+  },
+  {
+    key: 'prescriptions',
+    title: 'Prescriptions',
+    render: (doc, entry) => entryBlock(doc, entry.medication, [
+      ['Dosage', entry.dosage],
+      ['Duration', entry.duration],
+      ['Instructions', entry.instructions],
+      ['Prescribed by', doctorLabel(entry.doctor)],
+      ['Date', formatDate(entry.createdAt)]
+    ])
+  },
+  {
+    key: 'diseases',
+    title: 'Conditions',
+    render: (doc, entry) => entryBlock(doc, entry.name, [
+      ['Status', entry.status],
+      ['Diagnosed', formatDate(entry.diagnosedDate)],
+      ['Doctor', doctorLabel(entry.doctor)],
+      ['Notes', entry.notes]
+    ])
+  },
+  {
+    key: 'diagnostics',
+    title: 'Diagnostic Tests',
+    render: (doc, entry) => entryBlock(doc, `${entry.testName} - ${formatDate(entry.testDate)}`, [
+      ['Results', entry.results],
+      ['Doctor', doctorLabel(entry.doctor)],
+      ['Notes', entry.notes]
+    ])
+  },
+  {
+    key: 'comments',
+    title: 'Doctor Comments',
+    render: (doc, entry) => entryBlock(doc, `${doctorLabel(entry.doctor)} - ${formatDate(entry.createdAt)}`, [
+      ['Comment', entry.text]
+    ])
+  }
+];
+
+// The patient's record (as returned by loadMedicalRecord), limited to `sections`
+function renderMedicalRecordPdf(patient, record, sections) {
+  const doc = createDocument('Medical Record');
+  drawHeader(doc, 'Medical Record');
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.brand).text(fullName(patient));
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(patient.email || '');
+  doc.text(`Record as of ${formatDate(new Date())}`);
+
+  RECORD_SECTIONS.filter(section => sections.includes(section.key)).forEach(section => {
+    sectionTitle(doc, section.title);
+    const entries = record[section.key] || [];
+    if (entries.length === 0) {
+      doc.fillColor(COLORS.muted).text('No entries.');
+      return;
+    }
+    entries.forEach(entry => section.render(doc, entry));
+  });
+
+  drawFooters(doc);
+  doc.end();
+  return doc;
+}
+
+// A single prescription, with the code and QR code pharmacies use to check it.
+// `qrImage` is a PNG buffer of the signed QR payload.
+function renderPrescriptionPdf(patient, prescription, qrImage) {
+  const doctor = prescription.doctor;
+  const doc = createDocument('Prescription');
+  drawHeader(doc, 'Prescription');
+
+  field(doc, 'Date', formatDate(prescription.createdAt));
+  field(doc, 'Prescriber', doctorLabel(doctor));
+  field(doc, 'Patient', fullName(patient));
+
+  sectionTitle(doc, 'Medication');
+  doc.font('Helvetica-Bold').fontSize(13).text(prescription.medication);
+  doc.fontSize(10).moveDown(0.3);
+  field(doc, 'Dosage', prescription.dosage);
+  field(doc, 'Duration', prescription.duration);
+  field(doc, 'Instructions', prescription.instructions);
+
+  // Verification panel: short code on the left, QR code on the right
+  doc.moveDown(1.5);
+  const top = doc.y;
+  const width = doc.page.width - 2 * MARGIN;
+  const qrSize = 100;
+  const textWidth = width - qrSize - 30;
+  doc.roundedRect(MARGIN, top, width, qrSize + 20, 5).lineWidth(2).fillAndStroke(COLORS.panel, COLORS.accent);
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text('Verification code', MARGIN + 15, top + 20, { width: textWidth });
+  doc.fillColor(COLORS.brand).font('Helvetica-Bold').fontSize(20).text(prescription.verificationCode, MARGIN + 15, top + 36, { width: textWidth, characterSpacing: 3 });
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(
+    'Pharmacies can check this prescription by entering the verification code in Medflow. Dispensing it requires scanning the QR code, which also confirms this sheet is unaltered. It can be dispensed once.',
+    MARGIN + 15,
+    top + 66,
+    { width: textWidth }
+  );
+  doc.image(qrImage, MARGIN + width - qrSize - 10, top + 10, { width: qrSize, height: qrSize });
+  doc.y = top + qrSize + 40;
+
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(`Prescribed by ${doctorLabel(doctor)}`, MARGIN);
+
+  drawFooters(doc);
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  renderMedicalRecordPdf,
+  renderPrescriptionPdf
+};
@@ -0,0 +1,180 @@
+// Prescription verification for pharmacies: short codes, signed QR payloads,
+// public checks and single-use dispensing
+const crypto = require('crypto');
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const User = require('../models/User');
+const { createNotification } = require('./notificationService');
+const { atRevision } = require('./entryRevisionService');
+
+const SIGNING_SECRET = process.env.PRESCRIPTION_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+const QR_PREFIX = 'MEDFLOW-RX';
+
+// Give an older prescription a verification code unless it has one. Safe when
+// two sheets are printed at once: only the first code is kept.
+async function ensureVerificationCode(prescription) {
+  if (prescription.verificationCode) return prescription.verificationCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const updated = await Prescription.findOneAndUpdate(
+        { _id: prescription._id, verificationCode: { $exists: false } },
+        { $set: { verificationCode: Prescription.generateVerificationCode() } },
+        { new: true }
+      );
+      const current = updated || await Prescription.findById(prescription._id).select('verificationCode');
+      prescription.verificationCode = current.verificationCode;
+      return prescription.verificationCode;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not generate a verification code');
+}
+
+// Give every prescription without a code one, e.g. entries copied in by a
+// migration, which skips the model's save hook. Returns how many were updated.
+async function backfillVerificationCodes() {
+  let updated = 0;
+  const cursor = Prescription.find({ verificationCode: { $exists: false } }).select('verificationCode').cursor();
+  for await (const prescription of cursor) {
+    await ensureVerificationCode(prescription);
+    updated += 1;
+  }
+  return updated;
+}
+
+// Signature over the code and what was prescribed, by whom. A code copied
+// onto another sheet, or a prescription changed since it was printed, no
+// longer matches.
+function signPrescription(prescription) {
+  const doctorId = prescription.doctor && (prescription.doctor._id || prescription.doctor);
+  const content = [
+    prescription.verificationCode,
+    prescription.medication,
+    prescription.dosage,
+    prescription.duration || '',
+    String(doctorId)
+  ].join('\n');
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(content).digest('base64url').slice(0, 22);
+}
+
+function signatureMatches(prescription, signature) {
+  const expected = Buffer.from(signPrescription(prescription));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// What the QR code on a prescription sheet holds: "MEDFLOW-RX:<code>.<signature>"
+function qrPayload(prescription) {
+  return `${QR_PREFIX}:${prescription.verificationCode}.${signPrescription(prescription)}`;
+}
+
+// Split a scanned payload; returns { code, signature } or null
+function parseQrPayload(payload) {
+  const match = new RegExp(`^${QR_PREFIX}:([A-Z0-9-]+)\\.([A-Za-z0-9_-]+)$`).exec(String(payload || ''));
+  if (!match) return null;
+
+  const code = Prescription.normalizeVerificationCode(match[1]);
+  return code ? { code, signature: match[2] } : null;
+}
+
+function statusOf(prescription) {
+  if (prescription.retractedAt) return 'retracted';
+  if (prescription.dispensedAt) return 'dispensed';
+  return 'valid';
+}
+
+// Public check: enough to match the sheet, nothing that identifies the patient.
+// With the signature from a scanned QR code, the sheet's content is checked too;
+// a typed code alone only shows what the code belongs to.
+async function verifyPrescription(code, signature) {
+  const prescription = await Prescription.findOne({ verificationCode: code })
+    .populate('doctor', 'name familyName speciality');
+  if (!prescription) return null;
+
+  const signatureChecked = signature !== undefined;
+  if (signatureChecked && !signatureMatches(prescription, signature)) {
+    return {
+      valid: false,
+      status: 'mismatch',
+      code,
+      signatureChecked,
+      message: 'The QR code does not match this prescription. The sheet may have been altered, or the prescription changed after it was printed.'
+    };
+  }
+
+  const status = statusOf(prescription);
+  return {
+    valid: status === 'valid',
+    status,
+    code,
+    signatureChecked,
+    medication: prescription.medication,
+    dosage: prescription.dosage,
+    duration: prescription.duration,
+    prescribedAt: prescription.createdAt,
+    prescriber: prescription.doctor && {
+      name: `Dr. ${prescription.doctor.name} ${prescription.doctor.familyName}`,
+      speciality: prescription.doctor.speciality
+    },
+    dispensedAt: prescription.dispensedAt
+  };
+}
+
+// Mark a prescription as dispensed, given the signature from its QR code.
+// Returns { prescription, dispensation } or { error, status } when it can't be dispensed.
+async function dispensePrescription(code, signature, pharmacistId, { pharmacy, notes, ip }) {
+  const existing = await Prescription.findOne({ verificationCode: code });
+  if (!existing) return { error: 'Prescription not found', status: 404 };
+  if (!signatureMatches(existing, signature)) {
+    return { error: 'The QR code does not match this prescription', status: 400 };
+  }
+
+  // Same revision as the one checked: not changed in between
+  const dispensedAt = new Date();
+  const prescription = await Prescription.findOneAndUpdate(
+    { _id: existing._id, ...atRevision(existing.revision || 1), dispensedAt: null, retractedAt: null },
+    { $set: { dispensedAt, dispensedBy: pharmacistId } },
+    { new: true }
+  );
+
+  if (!prescription) {
+    const current = await Prescription.findById(existing._id).select('dispensedAt retractedAt');
+    if (current.retractedAt) return { error: 'Prescription was withdrawn by the prescriber', status: 409 };
+    if (current.dispensedAt) return { error: 'Prescription was already dispensed', status: 409, dispensedAt: current.dispensedAt };
+    return { error: 'The prescription changed while it was being dispensed. Scan it again.', status: 409 };
+  }
+
+  const dispensation = await Dispensation.create({
+    prescription: prescription._id,
+    patient: prescription.patient,
+    doctor: prescription.doctor,
+    pharmacist: pharmacistId,
+    pharmacy,
+    notes,
+    ip
+  });
+
+  const pharmacist = await User.findById(pharmacistId).select('name familyName');
+  await createNotification({
+    recipient: prescription.doctor,
+    sender: pharmacistId,
+    type: 'prescription_dispensed',
+    title: 'Prescription Dispensed',
+    message: `Your prescription for ${prescription.medication} was dispensed by ${pharmacist.name} ${pharmacist.familyName}${pharmacy ? ` at ${pharmacy}` : ''}`,
+    link: '/dashboard/dispensing-history'
+  });
+
+  return { prescription, dispensation };
+}
+
+module.exports = {
+  ensureVerificationCode,
+  backfillVerificationCodes,
+  qrPayload,
+  parseQrPayload,
+  verifyPrescription,
+  dispensePrescription
+};
@@ -0,0 +1,129 @@
+// Patient-facing view of who accessed their medical record
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { createNotification } = require('./notificationService');
+
+// Audit entry types that are part of a patient's record
+const RECORD_ENTRY_TYPES = [
+  'medical_record',
+  'appointment',
+  'prescription',
+  'disease',
+  'comment',
+  'diagnostic',
+  'health_assessment',
+  'clinical_entry'
+];
+
+const fullName = user => (user ? `${user.name} ${user.familyName}` : 'A deleted user');
+
+// How the access reached the record, e.g. "Jane Roe (Reception Agent) via Dr. John Doe"
+function describeAccessor({ actor, actorRole, viaDoctor, impersonator, emergencyAccess }) {
+  if (impersonator) {
+    return `${fullName(impersonator)} (Administrator) viewing as you`;
+  }
+  if (actorRole === 'Doctor') {
+    return emergencyAccess ? `Dr. ${fullName(actor)} (emergency access)` : `Dr. ${fullName(actor)}`;
+  }
+  if (viaDoctor) {
+    return `${fullName(actor)} (${actorRole}) via Dr. ${fullName(viaDoctor)}`;
+  }
+  return `${fullName(actor)} (${actorRole})`;
+}
+
+// Views and edits of a patient's record by anyone other than the patient
+function accessFilter(patientId) {
+  return {
+    patient: patientId,
+    entryType: { $in: RECORD_ENTRY_TYPES },
+    outcome: 'success',
+    $or: [{ actor: { $ne: patientId } }, { impersonator: { $exists: true } }]
+  };
+}
+
+async function getAccessLog(patientId, { page, limit }) {
+  const filter = accessFilter(patientId);
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .select('actor actorRole viaDoctor impersonator emergencyAccess action entryType entryId createdAt')
+      .populate('actor', 'name familyName role speciality')
+      .populate('viaDoctor', 'name familyName speciality')
+      .populate('impersonator', 'name familyName')
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries: entries.map(entry => ({
+      id: entry._id,
+      at: entry.createdAt,
+      action: entry.action,
+      entryType: entry.entryType,
+      entryId: entry.entryId,
+      actor: entry.actor && {
+        id: entry.actor._id,
+        name: entry.actor.name,
+        familyName: entry.actor.familyName,
+        role: entry.actorRole,
+        speciality: entry.actor.speciality
+      },
+      viaDoctor: entry.viaDoctor && {
+        id: entry.viaDoctor._id,
+        name: entry.viaDoctor.name,
+        familyName: entry.viaDoctor.familyName,
+        speciality: entry.viaDoctor.speciality
+      },
+      impersonatedBy: entry.impersonator,
+      emergencyAccess: entry.emergencyAccess,
+      description: describeAccessor(entry)
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// Tell a patient who opted in when someone accesses their record for the first time
+async function notifyNewRecordAccess(entry) {
+  if (!entry.patient || !RECORD_ENTRY_TYPES.includes(entry.entryType) || entry.outcome !== 'success') return;
+
+  const accessorField = entry.impersonator ? 'impersonator' : 'actor';
+  const accessorId = entry[accessorField];
+  if (!accessorId || accessorId.toString() === entry.patient.toString()) return;
+
+  const patient = await User.findById(entry.patient).select('notifyOnNewRecordAccess');
+  if (!patient || !patient.notifyOnNewRecordAccess) return;
+
+  const seenBefore = await AuditLog.exists({
+    ...accessFilter(entry.patient),
+    [accessorField]: accessorId,
+    seq: { $lt: entry.seq }
+  });
+  if (seenBefore) return;
+
+  await AuditLog.populate(entry, [
+    { path: 'actor', select: 'name familyName' },
+    { path: 'viaDoctor', select: 'name familyName' },
+    { path: 'impersonator', select: 'name familyName' }
+  ]);
+
+  await createNotification({
+    recipient: entry.patient,
+    sender: accessorId,
+    type: 'record_accessed',
+    title: 'New Access to Your Medical Record',
+    message: `${describeAccessor(entry)} accessed your medical record for the first time`,
+    link: `/dashboard/medical-record/${entry.patient}/access-log`
+  });
+}
+
+module.exports = {
+  getAccessLog,
+  notifyNewRecordAccess
+};
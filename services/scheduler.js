@@ -0,0 +1,35 @@
+// Periodic background jobs. Every job must be safe to run on several
+// instances at once, since each server process runs its own scheduler.
+const { purgeExpiredAccounts, deleteExpiredClinicalRecords } = require('./accountDeletionService');
+const { warnExpiringGrants } = require('./consentService');
+
+const JOB_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const jobs = [
+  { name: 'purge-deleted-accounts', run: purgeExpiredAccounts },
+  { name: 'delete-expired-clinical-records', run: deleteExpiredClinicalRecords },
+  { name: 'warn-expiring-grants', run: warnExpiringGrants }
+];
+
+async function runJobs() {
+  for (const job of jobs) {
+    try {
+      const result = await job.run();
+      if (result) {
+        console.log(`Scheduled job ${job.name}: ${result} processed`);
+      }
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} failed:`, error);
+    }
+  }
+}
+
+function startScheduledJobs() {
+  runJobs();
+  setInterval(runJobs, JOB_INTERVAL).unref();
+}
+
+module.exports = {
+  startScheduledJobs,
+  runJobs
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const RETIRED_HASHES_KEPT = 10;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Short-lived access token tied to a session
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Short-lived token proving the password step of a login succeeded.
+// It has no session id, so authMiddleware never accepts it as an access token.
+function signChallengeToken(user, purpose) {
+  return jwt.sign(
+    { userId: user._id, purpose },
+    JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+// Token for an admin viewing the app as another user. It carries the target's
+// identity plus the admin's, and the impersonation session instead of a login session.
+function signImpersonationToken(target, adminId, impersonationId, expiresAt) {
+  return jwt.sign(
+    {
+      userId: target._id,
+      email: target.email,
+      role: target.role,
+      impersonatorId: adminId,
+      impersonationId,
+      purpose: 'impersonation'
+    },
+    JWT_SECRET,
+    { expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+  );
+}
+
+function verifyChallengeToken(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  return { sessionId, secret };
+}
+
+// Start a new session and issue its first access/refresh token pair
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id.toString()),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+}
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated
+// token means it was copied, so the whole session is revoked. Any other wrong
+// secret is just rejected: session ids are not secret, and a guess must not
+// be able to sign someone out.
+async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('+refreshTokenHash').populate('user', 'email role');
+
+  if (!session || !session.user) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  const newSecret = crypto.randomBytes(48).toString('hex');
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(newSecret),
+      $push: { retiredRefreshTokenHashes: { $each: [presentedHash], $slice: -RETIRED_HASHES_KEPT } },
+      lastUsedAt: new Date(),
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || session.userAgent,
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Re-read: the token may have been rotated out since the session was loaded
+    const current = await Session.findById(session._id).select('+retiredRefreshTokenHashes');
+    if (current && (current.retiredRefreshTokenHashes || []).includes(presentedHash)) {
+      await revokeSession(session._id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id.toString()),
+    refreshToken: `${session._id}.${newSecret}`,
+    session: rotated
+  };
+}
+
+// Revoke one session; pass userId to make sure it belongs to that user
+async function revokeSession(sessionId, reason, userId) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) {
+    filter.user = userId;
+  }
+
+  return await Session.findOneAndUpdate(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+}
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+}
+
+// Rough, dependency-free description of the device behind a User-Agent string
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+  else if (/okhttp|Dart|Expo|CFNetwork/i.test(userAgent)) browser = 'Mobile app';
+
+  let os = 'Unknown OS';
+  if (/Android/.test(userAgent)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+  else if (/Windows/.test(userAgent)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+  else if (/Linux/.test(userAgent)) os = 'Linux';
+
+  return `${browser} on ${os}`;
+}
+
+// Active sessions of a user, most recently used first
+async function listActiveSessions(userId, currentSessionId) {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    id: session._id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === currentSessionId
+  }));
+}
+
+module.exports = {
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  signImpersonationToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+};
@@ -0,0 +1,173 @@
+// RFC 6238 time-based one-time passwords (TOTP) and recovery codes
+const crypto = require('crypto');
+
+const ISSUER = 'Medflow';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // accept one step of clock drift either way
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth:// URI understood by authenticator apps (usually shown as a QR code)
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// HOTP (RFC 4226) value for a given time step
+function generateCode(secret, timeStep) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(timeStep));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentTimeStep() {
+  return Math.floor(Date.now() / 1000 / PERIOD);
+}
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep are
+// refused so a code can't be replayed.
+function verifyCode(secret, code, lastUsedStep) {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const step = currentTimeStep();
+  for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+    const candidateStep = step + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidateStep <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, candidateStep);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return candidateStep;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// Ten single-use codes like "3f9a-c21b"; only their hashes are stored
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+}
+
+// Check a TOTP code or recovery code against a user loaded with its 2FA secrets.
+// The accepted step or the consumed recovery code is recorded with a
+// conditional update, so parallel requests can't both use the same code.
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  const User = user.constructor;
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, String(code).trim(), user.twoFactor.lastUsedStep);
+    if (step === null) return false;
+
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (claimed.modifiedCount !== 1) return false;
+
+    // Already stored; a later save must not write back an older step
+    user.twoFactor.lastUsedStep = step;
+    user.unmarkModified('twoFactor.lastUsedStep');
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+
+    const consumed = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (consumed.modifiedCount !== 1) return false;
+
+    // Already stored; a later save must not write back codes used in parallel
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+  generateRecoveryCodes,
+  checkSecondFactor
+};
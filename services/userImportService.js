@@ -0,0 +1,155 @@
+// Bulk user import from CSV: validation (dry run) and commit
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { parseCsvWithHeader } = require('./csvService');
+
+const REQUIRED_COLUMNS = ['name', 'familyName', 'email', 'role'];
+// Admin accounts are created one at a time, never in bulk
+const IMPORT_ROLES = ['Patient', 'Doctor', 'Reception Agent', 'Pharmacist'];
+const MAX_IMPORT_ROWS = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate a CSV upload. Returns { error } when the file itself is unusable,
+// otherwise { rows } where each row has its line number, data and errors.
+async function validateImport(csvText) {
+  const { columns, records } = parseCsvWithHeader(csvText || '');
+
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    return { error: `Missing required columns: ${missingColumns.join(', ')}` };
+  }
+  if (records.length === 0) {
+    return { error: 'The file has no rows to import' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  }
+
+  const emails = records.map(record => record.email.toLowerCase());
+  const existing = await User.find({ email: { $in: emails } }).select('email');
+  const existingEmails = new Set(existing.map(user => user.email));
+  const seenEmails = new Map();
+
+  const rows = records.map((record, index) => {
+    // Line 1 is the header
+    const line = index + 2;
+    const data = {
+      name: record.name,
+      familyName: record.familyName,
+      email: record.email.toLowerCase(),
+      role: record.role,
+      speciality: record.speciality || undefined
+    };
+    const errors = [];
+
+    REQUIRED_COLUMNS.forEach(column => {
+      if (!record[column]) errors.push(`${column} is required`);
+    });
+
+    if (data.email && !EMAIL_PATTERN.test(data.email)) {
+      errors.push('Invalid email address');
+    } else if (existingEmails.has(data.email)) {
+      errors.push('A user already exists with this email');
+    } else if (data.email && seenEmails.has(data.email)) {
+      errors.push(`Duplicate of line ${seenEmails.get(data.email)}`);
+    }
+    if (data.email && !seenEmails.has(data.email)) {
+      seenEmails.set(data.email, line);
+    }
+
+    if (data.role && !IMPORT_ROLES.includes(data.role)) {
+      errors.push(`Invalid role. Allowed roles: ${IMPORT_ROLES.join(', ')}`);
+    }
+    if (data.role === 'Doctor' && !data.speciality) {
+      errors.push('Speciality is required for doctors');
+    }
+
+    return { line, data, errors };
+  });
+
+  return { rows };
+}
+
+function summarize(rows) {
+  const invalid = rows.filter(row => row.errors.length > 0);
+  return {
+    total: rows.length,
+    valid: rows.length - invalid.length,
+    invalid: invalid.length,
+    errors: invalid.map(({ line, data, errors }) => ({ line, email: data.email, errors }))
+  };
+}
+
+// Why a user document could not be saved, in the words of the row report
+function saveErrors(error) {
+  if (error.code === 11000) return ['A user already exists with this email'];
+  if (error.errors) return Object.values(error.errors).map(fieldError => fieldError.message);
+  return [error.message];
+}
+
+// Create the validated users and send each one an activation link.
+// Users choose their own password through the link. Doctors are imported
+// pending credential review unless approveDoctors is set.
+// All or nothing: every row is checked again before the first write, and if
+// a save still fails the users created so far are removed. Returns
+// { failures } when nothing was imported.
+async function commitImport(rows, adminId, { approveDoctors = false } = {}) {
+  const pending = rows.map(({ line, data }) => {
+    const user = new User({
+      ...data,
+      doctorApproval: data.role === 'Doctor'
+        ? (approveDoctors ? { status: 'approved', reviewedBy: adminId, reviewedAt: new Date() } : { status: 'pending' })
+        : undefined,
+      isVerified: true,
+      requiresActivation: true
+    });
+    const activationToken = user.createActivationToken();
+    return { line, user, activationToken };
+  });
+
+  // Another request may have taken an email since the dry run
+  const taken = await User.find({ email: { $in: pending.map(({ user }) => user.email) } }).select('email');
+  const takenEmails = new Set(taken.map(user => user.email));
+
+  const failures = [];
+  for (const { line, user } of pending) {
+    const errors = takenEmails.has(user.email) ? ['A user already exists with this email'] : [];
+    const validationError = user.validateSync();
+    if (validationError) errors.push(...saveErrors(validationError));
+    if (errors.length > 0) failures.push({ line, email: user.email, errors });
+  }
+  if (failures.length > 0) return { failures };
+
+  const saved = [];
+  for (const { line, user } of pending) {
+    try {
+      await user.save();
+      saved.push(user._id);
+    } catch (error) {
+      console.error(`User import failed at line ${line}, rolling back ${saved.length} users:`, error);
+      await User.deleteMany({ _id: { $in: saved } });
+      return { failures: [{ line, email: user.email, errors: saveErrors(error) }] };
+    }
+  }
+
+  const created = [];
+  let activationEmailsFailed = 0;
+
+  for (const { user, activationToken } of pending) {
+    const emailResult = await emailService.sendActivationEmail(user.email, activationToken, user.name);
+    if (!emailResult.success) {
+      activationEmailsFailed++;
+      console.error('Activation email failed:', emailResult.error);
+    }
+
+    created.push({ id: user._id, email: user.email, role: user.role, doctorApproval: user.doctorApproval?.status });
+  }
+
+  return { created, activationEmailsFailed };
+}
+
+module.exports = {
+  validateImport,
+  summarize,
+  commitImport
+};
@@ -0,0 +1,167 @@
+// Search, filtering, sorting and pagination for user listings.
+// Query parameters:
+//   q                       text matched against name, familyName and email
+//   role, isVerified, status  exact filters (when the listing allows them)
+//   createdFrom, createdTo  creation date range (inclusive)
+//   sort                    field name, prefixed with '-' for descending
+//   page, limit             page-based pagination
+// Listings return the page as a plain array; totals and page links are sent
+// in the X-Total-Count and Link headers (see setPaginationHeaders).
+
+const SORTABLE_FIELDS = ['name', 'familyName', 'email', 'role', 'createdAt'];
+const SEARCH_FIELDS = ['name', 'familyName', 'email'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const USER_QUERY_PARAMS = ['q', 'role', 'isVerified', 'status', 'createdFrom', 'createdTo', 'sort'];
+const PAGINATION_PARAMS = ['page', 'limit'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Repeated keys (?q=a&q=b) arrive as arrays; each parameter must be a single value
+function checkSingleValues(query, names) {
+  const repeated = names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  return repeated ? { error: `${repeated} must be given only once` } : null;
+}
+
+// Turn request query parameters into a Mongo filter, sort and paging.
+// Returns { error } instead when a parameter is invalid.
+function parseUserQuery(query, { filters = [], defaultSort = 'name' } = {}) {
+  const invalid = checkSingleValues(query, USER_QUERY_PARAMS);
+  if (invalid) {
+    return invalid;
+  }
+
+  const filter = {};
+
+  if (query.q && query.q.trim()) {
+    // Every word must match one of the searchable fields
+    filter.$and = query.q.trim().split(/\s+/).map(word => ({
+      $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(word), $options: 'i' } }))
+    }));
+  }
+
+  if (filters.includes('role') && query.role) {
+    const roles = query.role.split(',');
+    filter.role = roles.length > 1 ? { $in: roles } : roles[0];
+  }
+
+  if (filters.includes('isVerified') && query.isVerified !== undefined) {
+    if (!['true', 'false'].includes(query.isVerified)) {
+      return { error: 'isVerified must be true or false' };
+    }
+    filter.isVerified = query.isVerified === 'true';
+  }
+
+  if (filters.includes('status') && query.status) {
+    if (!['active', 'suspended', 'deactivated'].includes(query.status)) {
+      return { error: 'status must be active, suspended or deactivated' };
+    }
+    // Accounts created before statuses existed have none and count as active
+    filter.status = query.status === 'active' ? { $nin: ['suspended', 'deactivated'] } : query.status;
+  }
+
+  if (query.createdFrom || query.createdTo) {
+    filter.createdAt = {};
+    if (query.createdFrom) {
+      const from = parseDate(query.createdFrom);
+      if (!from) return { error: 'Invalid createdFrom date' };
+      filter.createdAt.$gte = from;
+    }
+    if (query.createdTo) {
+      const to = parseDate(query.createdTo);
+      if (!to) return { error: 'Invalid createdTo date' };
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.createdTo)) {
+        to.setUTCHours(23, 59, 59, 999);
+      }
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  const sortParam = query.sort || defaultSort;
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}` };
+  }
+  // _id as tie-breaker keeps pages stable
+  const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1, _id: 1 };
+
+  const paging = parsePagination(query);
+  if (paging.error) {
+    return paging;
+  }
+
+  return { filter, sort, ...paging };
+}
+
+// Page and limit from query parameters, with the limit capped
+function parsePagination(query) {
+  const invalid = checkSingleValues(query, PAGINATION_PARAMS);
+  if (invalid) {
+    return invalid;
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  const limit = parsePositiveInt(query.limit, DEFAULT_LIMIT);
+  if (!page || !limit) {
+    return { error: 'page and limit must be positive integers' };
+  }
+
+  return { page, limit: Math.min(limit, MAX_LIMIT) };
+}
+
+// Run a paginated query and return the page with totals
+async function paginate(Model, filter, { sort, page, limit, select }) {
+  const [items, total] = await Promise.all([
+    Model.find(filter).select(select).sort(sort).skip((page - 1) * limit).limit(limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// Totals and first/prev/next/last page links for a listing that returns a bare array
+function setPaginationHeaders(req, res, { page, limit, total, totalPages }) {
+  const pageLink = (number, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('page', number);
+    url.searchParams.set('limit', limit);
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+
+  const links = [pageLink(1, 'first')];
+  if (page > 1) links.push(pageLink(page - 1, 'prev'));
+  if (page < totalPages) links.push(pageLink(page + 1, 'next'));
+  links.push(pageLink(Math.max(totalPages, 1), 'last'));
+
+  res.set('X-Total-Count', String(total));
+  res.set('X-Total-Pages', String(totalPages));
+  res.set('Link', links.join(', '));
+}
+
+module.exports = {
+  parseUserQuery,
+  parsePagination,
+  paginate,
+  setPaginationHeaders
+};
@@ -0,0 +1,169 @@
+// Table-driven checks of the access policy: every action against every
+// role and relationship a user can have with the patient.
+// Models are backed by in-memory fixtures, so no database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DoctorRequest = require('../models/DoctorRequest');
+const DoctorReceptionAgent = require('../models/DoctorReceptionAgent');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { POLICY, checkAccess } = require('../services/accessPolicy');
+
+const id = () => new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+const patient = id();
+const otherPatient = id();
+const treatingDoctor = id();
+const scopedDoctor = id();
+const expiredDoctor = id();
+const revokedDoctor = id();
+const unrelatedDoctor = id();
+const emergencyDoctor = id();
+const suspendedDoctor = id();
+const agent = id();
+const agentOfSuspended = id();
+const unlinkedAgent = id();
+const admin = id();
+
+const fixtures = {
+  users: [
+    { _id: treatingDoctor, role: 'Doctor', status: 'active', deletedAt: null },
+    { _id: scopedDoctor, role: 'Doctor', status: 'active', deletedAt: null },
+    { _id: suspendedDoctor, role: 'Doctor', status: 'suspended', deletedAt: null }
+  ],
+  grants: [
+    new DoctorRequest({ doctor: treatingDoctor, patient, status: 'accepted' }),
+    new DoctorRequest({ doctor: scopedDoctor, patient, status: 'accepted', sharedSections: ['prescriptions'], accessExpiresAt: new Date(Date.now() + HOUR) }),
+    new DoctorRequest({ doctor: expiredDoctor, patient, status: 'accepted', accessExpiresAt: new Date(Date.now() - HOUR) }),
+    new DoctorRequest({ doctor: revokedDoctor, patient, status: 'revoked' }),
+    new DoctorRequest({ doctor: suspendedDoctor, patient, status: 'accepted' })
+  ],
+  agentLinks: [
+    { doctor: treatingDoctor, receptionAgent: agent, status: 'accepted' },
+    { doctor: suspendedDoctor, receptionAgent: agentOfSuspended, status: 'accepted' },
+    { doctor: treatingDoctor, receptionAgent: unlinkedAgent, status: 'pending' }
+  ],
+  emergencyAccesses: [
+    { _id: id(), doctor: emergencyDoctor, patient, expiresAt: new Date(Date.now() + HOUR) },
+    { _id: id(), doctor: unrelatedDoctor, patient, expiresAt: new Date(Date.now() - HOUR) }
+  ]
+};
+
+// Just enough of MongoDB's query language for the filters accessPolicy builds
+function matchValue(value, condition) {
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+    return value !== undefined && value !== null && value.toString() === condition.toString();
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => matchValue(value, item));
+      case '$nin': return !operand.some(item => matchValue(value, item));
+      case '$gt': return value !== undefined && value !== null && value > operand;
+      default: throw new Error(`Unsupported operator in test query: ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) =>
+    (field === '$or' ? condition.some(branch => matches(doc, branch)) : matchValue(doc[field], condition)));
+}
+
+// Query results that can be awaited directly or after .select()
+const query = result => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+
+before(() => {
+  User.find = filter => query(fixtures.users.filter(doc => matches(doc, filter)));
+  DoctorRequest.find = filter => query(fixtures.grants.filter(doc => matches(doc, filter)));
+  DoctorRequest.findOne = filter => query(fixtures.grants.find(doc => matches(doc, filter)) || null);
+  DoctorReceptionAgent.find = filter => query(fixtures.agentLinks.filter(doc => matches(doc, filter)));
+  EmergencyAccess.findOne = filter => query(fixtures.emergencyAccesses.find(doc => matches(doc, filter)) || null);
+});
+
+// Who is asking, and about what. `section` is the record section concerned;
+// `authorId` the author of the entry being modified; `doctorId` the doctor a
+// reception agent acts for.
+const RELATIONSHIPS = {
+  'patient, own record': { user: { userId: patient, role: 'Patient' }, resource: { patientId: patient } },
+  'patient, another record': { user: { userId: otherPatient, role: 'Patient' }, resource: { patientId: patient } },
+  'admin impersonating the patient': { user: { userId: patient, role: 'Patient', impersonatorId: admin }, resource: { patientId: patient } },
+  'treating doctor, own entry': { user: { userId: treatingDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: treatingDoctor } },
+  'treating doctor, colleague\'s entry': { user: { userId: treatingDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: scopedDoctor } },
+  'scoped doctor, shared section': { user: { userId: scopedDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: scopedDoctor, section: 'prescriptions' } },
+  'scoped doctor, unshared section': { user: { userId: scopedDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: scopedDoctor, section: 'diseases' } },
+  'doctor with expired grant': { user: { userId: expiredDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: expiredDoctor } },
+  'doctor with revoked grant': { user: { userId: revokedDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: revokedDoctor } },
+  'doctor with no relationship': { user: { userId: unrelatedDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: unrelatedDoctor } },
+  'doctor in emergency access': { user: { userId: emergencyDoctor, role: 'Doctor' }, resource: { patientId: patient, authorId: emergencyDoctor } },
+  'agent of treating doctor': { user: { userId: agent, role: 'Reception Agent' }, resource: { patientId: patient, doctorId: treatingDoctor, authorId: treatingDoctor } },
+  'agent of suspended doctor': { user: { userId: agentOfSuspended, role: 'Reception Agent' }, resource: { patientId: patient, doctorId: suspendedDoctor, authorId: suspendedDoctor } },
+  'agent not yet accepted': { user: { userId: unlinkedAgent, role: 'Reception Agent' }, resource: { patientId: patient, doctorId: treatingDoctor, authorId: treatingDoctor } },
+  'admin': { user: { userId: admin, role: 'Admin' }, resource: { patientId: patient } }
+};
+
+// Expected decision per action, in the order of RELATIONSHIPS above
+const COLUMNS = Object.keys(RELATIONSHIPS);
+const EXPECTED = {
+  //                   own    other  imper  treat  colle  scShr  scUns  expir  revok  none   emerg  agent  agSus  agPen  admin
+  'record:read':       [true,  false, true,  true,  true,  true,  false, false, false, false, true,  true,  false, false, false],
+  'assessment:read':   [true,  false, true,  true,  true,  true,  false, false, false, false, true,  true,  false, false, false],
+  'entry:history':     [true,  false, true,  true,  true,  true,  false, false, false, false, false, false, false, false, true],
+  'access-log:read':   [true,  false, true,  false, false, false, false, false, false, false, false, false, false, false, false],
+  'access-log:manage': [true,  false, false, false, false, false, false, false, false, false, false, false, false, false, false],
+  'entry:create':      [false, false, false, true,  true,  true,  false, false, false, false, false, false, false, false, false],
+  'entry:modify':      [false, false, false, true,  false, true,  false, false, false, false, false, false, false, false, false],
+  'appointment:create':[false, false, false, true,  true,  true,  false, false, false, false, false, true,  false, false, false],
+  'appointment:modify':[false, false, false, true,  false, true,  false, false, false, false, false, true,  false, false, false]
+};
+
+test('every policy action has a row of expectations', () => {
+  assert.deepEqual(Object.keys(EXPECTED).sort(), Object.keys(POLICY).sort());
+  Object.values(EXPECTED).forEach(row => assert.equal(row.length, COLUMNS.length));
+});
+
+for (const [action, row] of Object.entries(EXPECTED)) {
+  COLUMNS.forEach((relationship, index) => {
+    const expected = row[index];
+    test(`${action}: ${relationship} is ${expected ? 'allowed' : 'denied'}`, async () => {
+      const { user, resource } = RELATIONSHIPS[relationship];
+      const decision = await checkAccess(user, action, resource);
+      assert.equal(decision.allowed, expected, decision.message);
+      if (!expected) assert.ok(decision.message);
+    });
+  });
+}
+
+// What an allowed decision carries for the route handler
+const DECISIONS = [
+  { action: 'record:read', relationship: 'treating doctor, own entry', doctorId: treatingDoctor, sections: DoctorRequest.SHARED_SECTIONS },
+  { action: 'record:read', relationship: 'scoped doctor, shared section', doctorId: scopedDoctor, sections: ['prescriptions'] },
+  { action: 'record:read', relationship: 'doctor in emergency access', doctorId: emergencyDoctor, sections: DoctorRequest.SHARED_SECTIONS, emergency: true },
+  { action: 'record:read', relationship: 'agent of treating doctor', doctorId: treatingDoctor, sections: DoctorRequest.SHARED_SECTIONS },
+  { action: 'record:read', relationship: 'patient, own record', sections: DoctorRequest.SHARED_SECTIONS },
+  { action: 'entry:history', relationship: 'admin', sections: DoctorRequest.SHARED_SECTIONS }
+];
+
+for (const { action, relationship, doctorId, sections, emergency } of DECISIONS) {
+  test(`${action}: ${relationship} gets the right scope`, async () => {
+    const { user, resource } = RELATIONSHIPS[relationship];
+    const decision = await checkAccess(user, action, resource);
+    assert.equal(decision.allowed, true);
+    assert.equal(String(decision.doctorId), String(doctorId));
+    assert.deepEqual([...decision.sections], sections);
+    assert.equal(!!decision.emergencyAccessId, !!emergency);
+  });
+}
+
+test('unknown actions are a programming error', async () => {
+  await assert.rejects(checkAccess(RELATIONSHIPS.admin.user, 'record:delete', {}), /Unknown access policy action/);
+});
+
+test('a missing user is denied', async () => {
+  const decision = await checkAccess(undefined, 'record:read', { patientId: patient });
+  assert.equal(decision.allowed, false);
+});
@@ -0,0 +1,94 @@
+// Purging deleted accounts: what is deleted, what is kept under retention and
+// what the tombstones keep. Model writes are recorded instead of run, so no
+// database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ENTRY_MODELS } = require('../services/medicalRecordService');
+const { RECORD_RETENTION_YEARS, purgeUser, deleteExpiredClinicalRecords } = require('../services/accountDeletionService');
+
+const MODEL_NAMES = [
+  'User', 'MedicalRecord', 'EntryRevision', 'HealthAssessment', 'Dispensation', 'Prescription', 'Session',
+  'Notification', 'DoctorRequest', 'DoctorReceptionAgent', 'AppointmentInvitation', 'DoctorCredentialDocument',
+  'ImpersonationSession', 'ImpersonationLog', 'EmergencyAccess',
+  ...Object.values(ENTRY_MODELS).map(Model => Model.modelName)
+];
+const WRITES = ['deleteOne', 'deleteMany', 'updateOne', 'updateMany'];
+
+let writes;
+let tombstones;
+
+// Collections a kind of write was made to
+const written = operation => writes.filter(write => write.operation === operation).map(write => write.model);
+
+beforeEach(() => {
+  writes = [];
+  tombstones = [];
+
+  for (const name of new Set(MODEL_NAMES)) {
+    const Model = mongoose.model(name);
+    for (const operation of WRITES) {
+      Model[operation] = async (filter, update) => {
+        writes.push({ model: name, operation, filter, update });
+        return {};
+      };
+    }
+  }
+  User.find = () => ({ select: async () => tombstones });
+});
+
+const userWith = role => new User({ name: 'Ana', familyName: 'Silva', email: 'ana@example.com', role, speciality: role === 'Doctor' ? 'Cardiology' : undefined });
+
+test('a purged patient keeps their clinical records under an anonymised tombstone', async () => {
+  const patient = userWith('Patient');
+
+  assert.equal(await purgeUser(patient), 'anonymised');
+
+  const deleted = written('deleteMany').concat(written('deleteOne'));
+  for (const kept of ['MedicalRecord', 'EntryRevision', 'Dispensation', 'User', ...Object.values(ENTRY_MODELS).map(Model => Model.modelName)]) {
+    assert.ok(!deleted.includes(kept), `${kept} is kept`);
+  }
+  assert.ok(deleted.includes('HealthAssessment'));
+  assert.ok(deleted.includes('Session'));
+
+  const { update } = writes.find(write => write.model === 'User' && write.operation === 'updateOne');
+  assert.equal(update.$set.name, 'Deleted');
+  assert.equal(update.$set.familyName, 'User');
+  assert.match(update.$set.email, /@deleted\.invalid$/);
+  const years = (update.$set.retainRecordsUntil - Date.now()) / (365.25 * 24 * 60 * 60 * 1000);
+  assert.ok(Math.abs(years - RECORD_RETENTION_YEARS) < 0.01);
+});
+
+test('a purged doctor tombstone keeps no name, speciality or licence', async () => {
+  const doctor = userWith('Doctor');
+
+  assert.equal(await purgeUser(doctor), 'anonymised');
+
+  const { update } = writes.find(write => write.model === 'User' && write.operation === 'updateOne');
+  assert.equal(update.$set.name, 'Deleted');
+  assert.equal(update.$set.retainRecordsUntil, undefined);
+  for (const field of ['speciality', 'doctorApproval', 'password', 'twoFactor']) {
+    assert.equal(update.$unset[field], 1, `${field} removed`);
+  }
+});
+
+test('other accounts are deleted outright', async () => {
+  assert.equal(await purgeUser(userWith('Pharmacist')), 'deleted');
+  assert.ok(written('deleteOne').includes('User'));
+});
+
+test('clinical records past retention are deleted with the patient tombstone', async () => {
+  const patientId = new mongoose.Types.ObjectId();
+  tombstones = [{ _id: patientId }];
+
+  assert.equal(await deleteExpiredClinicalRecords(), 1);
+
+  const deleted = written('deleteMany').concat(written('deleteOne'));
+  for (const model of ['MedicalRecord', 'EntryRevision', 'Dispensation', 'User', ...Object.values(ENTRY_MODELS).map(Model => Model.modelName)]) {
+    assert.ok(deleted.includes(model), `${model} deleted`);
+  }
+  assert.ok(writes.every(write => String(write.filter.patient || write.filter._id) === String(patientId)));
+});
@@ -0,0 +1,107 @@
+// Audit chain appends: ordering, retries and the dead-letter fallback.
+// Models are backed by in-memory stores, so no database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+process.env.AUDIT_RETRY_DELAY_MS = '1';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const client = require('prom-client');
+const AuditLog = require('../models/AuditLog');
+const AuditChainHead = require('../models/AuditChainHead');
+const AuditDeadLetter = require('../models/AuditDeadLetter');
+const { recordAudit, verifyAuditChain } = require('../services/auditService');
+
+let head;
+let stored;
+let deadLetters;
+let failingActions;
+
+const lostCount = async () => (await client.register.getSingleMetric('audit_entries_lost_total').get()).values[0].value;
+
+beforeEach(() => {
+  head = null;
+  stored = [];
+  deadLetters = [];
+  failingActions = new Set();
+
+  AuditChainHead.findById = async () => head && { ...head };
+  AuditChainHead.create = async doc => (head = { ...doc });
+  AuditChainHead.findOneAndUpdate = async (filter, update) => {
+    if (!head || head.seq !== filter.seq) return null;
+    head = { ...head, ...update };
+    return head;
+  };
+  AuditLog.findOne = () => ({ sort: () => ({ select: async () => null }) });
+  AuditLog.prototype.save = async function() {
+    if (failingActions.has(this.action)) throw new Error('write failed');
+    stored.push(this.toObject());
+    return this;
+  };
+  AuditLog.find = () => ({
+    sort: () => ({ lean: () => ({ cursor: () => [...stored].sort((a, b) => a.seq - b.seq) }) })
+  });
+  AuditDeadLetter.create = async letter => deadLetters.push(letter);
+  AuditDeadLetter.findOne = ({ seq }) => ({ lean: async () => deadLetters.find(letter => letter.seq === seq) || null });
+});
+
+const entry = (action, extra = {}) => ({ action, entryType: 'medical_record', ...extra });
+
+test('concurrent appends form one unbroken chain', async () => {
+  await Promise.all(Array.from({ length: 10 }, (_, i) => recordAudit(entry('read', { entryId: i }))));
+
+  assert.deepEqual(stored.map(record => record.seq).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 10, deadLettered: 0 });
+});
+
+test('an entry that keeps failing is dead-lettered and later appends still go through', async () => {
+  const lostBefore = await lostCount();
+  failingActions.add('poison');
+
+  const results = await Promise.all([
+    recordAudit(entry('read')),
+    recordAudit(entry('poison')),
+    recordAudit(entry('update')),
+    recordAudit(entry('delete'))
+  ]);
+
+  assert.equal(results[1], null);
+  assert.deepEqual(stored.map(record => record.action), ['read', 'update', 'delete']);
+  assert.equal(deadLetters.length, 1);
+  assert.equal(deadLetters[0].seq, 2);
+  assert.equal(deadLetters[0].entry.action, 'poison');
+  assert.equal(await lostCount(), lostBefore + 1);
+
+  // The dead letter stands in for seq 2 when the chain is verified
+  assert.deepEqual(await verifyAuditChain(), { valid: true, checked: 3, deadLettered: 1 });
+});
+
+test('a transient failure is retried into place', async () => {
+  let failures = 2;
+  const save = AuditLog.prototype.save;
+  AuditLog.prototype.save = async function() {
+    if (failures-- > 0) throw new Error('connection reset');
+    return save.call(this);
+  };
+
+  const record = await recordAudit(entry('read'));
+  assert.equal(record.seq, 1);
+  assert.equal(deadLetters.length, 0);
+});
+
+test('a missing entry without a dead letter breaks the chain', async () => {
+  await recordAudit(entry('read'));
+  await recordAudit(entry('update'));
+  stored.shift();
+
+  const result = await verifyAuditChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 1);
+  assert.equal(result.problem, 'Missing entry');
+});
+
+test('invalid entries are rejected without claiming a seq', async () => {
+  await assert.rejects(recordAudit({ entryType: 'medical_record' }), /action/);
+  assert.equal(head, null);
+  await recordAudit(entry('read'));
+  assert.equal(stored[0].seq, 1);
+});
@@ -0,0 +1,58 @@
+// Token-taking auth routes reject tokens that are not strings before hashing
+// them. Rate limits are backed by an in-memory map, so no database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const RateLimit = require('../models/RateLimit');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  RateLimit.findOneAndUpdate = async () => ({ count: 1, expiresAt: new Date(Date.now() + 60 * 1000) });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => server.close());
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+const PASSWORDS = { password: 'secret123', confirmPassword: 'secret123', newPassword: 'secret123', confirmNewPassword: 'secret123' };
+
+// [route, what is wrong, body]
+const CASES = [
+  ['/refresh', 'no body', undefined],
+  ['/refresh', 'no refresh token', {}],
+  ['/refresh', 'a numeric refresh token', { refreshToken: 12345 }],
+  ['/refresh', 'a refresh token array', { refreshToken: ['a.b'] }],
+  ['/refresh', 'a query operator as refresh token', { refreshToken: { $ne: null } }],
+  ['/activate', 'a numeric token', { ...PASSWORDS, token: 12345 }],
+  ['/activate', 'a query operator as token', { ...PASSWORDS, token: { $gt: '' } }],
+  ['/reset-password', 'a boolean token', { ...PASSWORDS, token: true }],
+  ['/reset-password', 'a token array', { ...PASSWORDS, token: ['a', 'b'] }],
+  ['/email/cancel', 'no body', undefined],
+  ['/email/cancel', 'a numeric token', { token: 42 }]
+];
+
+for (const [path, problem, body] of CASES) {
+  test(`POST ${path} with ${problem} is a bad request`, async () => {
+    const response = await post(path, body);
+
+    assert.equal(response.status, 400);
+    assert.ok((await response.json()).message);
+  });
+}
@@ -0,0 +1,57 @@
+// Consent terms on a doctor's access, and how they gate responses to a
+// patient's appointment invitation
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DoctorRequest = require('../models/DoctorRequest');
+const { parseGrantScope, invitationAcceptanceError } = require('../services/consentService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY);
+
+// [name, grant, error expected when accepting]
+const ACCEPTANCE_CASES = [
+  ['no grant yet', null, null],
+  ['pending request', { status: 'pending' }, null],
+  ['rejected request', { status: 'rejected' }, null],
+  ['open-ended grant', { status: 'accepted' }, null],
+  ['grant still running', { status: 'accepted', accessExpiresAt: inDays(3) }, null],
+  ['expired grant', { status: 'accepted', accessExpiresAt: inDays(-1) }, /expired/],
+  ['expired grant re-requested', { status: 'pending', accessExpiresAt: inDays(-1) }, /expired/],
+  ['revoked grant', { status: 'revoked' }, /revoked/]
+];
+
+for (const [name, grant, expected] of ACCEPTANCE_CASES) {
+  test(`invitationAcceptanceError: ${name}`, () => {
+    const error = invitationAcceptanceError(grant && new DoctorRequest(grant));
+
+    if (expected) {
+      assert.match(error, expected);
+    } else {
+      assert.equal(error, null);
+    }
+  });
+}
+
+// [name, body, expected scope or error]
+const SCOPE_CASES = [
+  ['nothing chosen', {}, {}],
+  ['empty expiry', { accessExpiresAt: '' }, {}],
+  ['future expiry', { accessExpiresAt: '2999-01-01T00:00:00Z' }, { accessExpiresAt: new Date('2999-01-01T00:00:00Z') }],
+  ['sections deduplicated', { sharedSections: ['prescriptions', 'prescriptions', 'diseases'] }, { sharedSections: ['prescriptions', 'diseases'] }],
+  ['invalid expiry', { accessExpiresAt: 'soon' }, { error: 'Invalid access expiry date' }],
+  ['past expiry', { accessExpiresAt: inDays(-1).toISOString() }, { error: 'Access expiry must be in the future' }],
+  ['empty section list', { sharedSections: [] }, { error: 'Shared sections must be a non-empty list' }],
+  ['sections not a list', { sharedSections: 'prescriptions' }, { error: 'Shared sections must be a non-empty list' }]
+];
+
+for (const [name, body, expected] of SCOPE_CASES) {
+  test(`parseGrantScope: ${name}`, () => {
+    assert.deepEqual(parseGrantScope(body), expected);
+  });
+}
+
+test('parseGrantScope names unknown sections', () => {
+  assert.match(parseGrantScope({ sharedSections: ['prescriptions', 'x-rays'] }).error, /Unknown sections: x-rays/);
+});
@@ -0,0 +1,72 @@
+// Table-driven checks of CSV reading and writing
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvWithHeader, formatCsvRow } = require('../services/csvService');
+
+const PARSE_CASES = [
+  ['plain fields', 'a,b,c', [['a', 'b', 'c']]],
+  ['empty fields', 'a,,c,', [['a', '', 'c', '']]],
+  ['LF line endings', 'a,b\nc,d\n', [['a', 'b'], ['c', 'd']]],
+  ['CRLF line endings', 'a,b\r\nc,d\r\n', [['a', 'b'], ['c', 'd']]],
+  ['CR line endings', 'a,b\rc,d', [['a', 'b'], ['c', 'd']]],
+  ['no trailing newline', 'a,b\nc,d', [['a', 'b'], ['c', 'd']]],
+  ['blank lines skipped', 'a,b\n\n \n,\nc,d', [['a', 'b'], ['c', 'd']]],
+  ['quoted field', '"a",b', [['a', 'b']]],
+  ['quoted comma', '"Silva, Ana",b', [['Silva, Ana', 'b']]],
+  ['escaped quotes', '"say ""hi""",b', [['say "hi"', 'b']]],
+  ['only an escaped quote', '"""",b', [['"', 'b']]],
+  ['empty quoted field', '"",b', [['', 'b']]],
+  ['embedded LF', '"line 1\nline 2",b\nc,d', [['line 1\nline 2', 'b'], ['c', 'd']]],
+  ['embedded CRLF', '"line 1\r\nline 2",b', [['line 1\r\nline 2', 'b']]],
+  ['byte order mark', '\uFEFFname,email\nAna,ana@example.com', [['name', 'email'], ['Ana', 'ana@example.com']]],
+  ['BOM before a quoted field', '\uFEFF"name",email', [['name', 'email']]],
+  ['unicode', 'José,Müller', [['José', 'Müller']]],
+  ['empty input', '', []]
+];
+
+for (const [name, input, expected] of PARSE_CASES) {
+  test(`parseCsv: ${name}`, () => {
+    assert.deepEqual(parseCsv(input), expected);
+  });
+}
+
+test('parseCsvWithHeader keys rows by trimmed header names and trims values', () => {
+  const { columns, records } = parseCsvWithHeader('\uFEFF name , email\r\n Ana , ana@example.com \r\nRui\r\n');
+
+  assert.deepEqual(columns, ['name', 'email']);
+  assert.deepEqual(records, [
+    { name: 'Ana', email: 'ana@example.com' },
+    { name: 'Rui', email: '' }
+  ]);
+});
+
+test('parseCsvWithHeader of an empty file has no columns and no rows', () => {
+  assert.deepEqual(parseCsvWithHeader(''), { columns: [], records: [] });
+});
+
+const FORMAT_CASES = [
+  ['plain values', ['a', 'b'], 'a,b'],
+  ['missing values', [undefined, null, ''], ',,'],
+  ['numbers and booleans', [42, true], '42,true'],
+  ['dates as ISO strings', [new Date('2024-03-01T10:00:00Z')], '2024-03-01T10:00:00.000Z'],
+  ['comma', ['Silva, Ana'], '"Silva, Ana"'],
+  ['quotes doubled', ['say "hi"'], '"say ""hi"""'],
+  ['newline', ['line 1\nline 2'], '"line 1\nline 2"'],
+  ['formula', ['=SUM(A1:A2)'], "'=SUM(A1:A2)"],
+  ['plus sign', ['+351 912 345 678'], "'+351 912 345 678"],
+  ['minus sign', ['-1'], "'-1"],
+  ['at sign', ['@cmd'], "'@cmd"],
+  ['formula with a comma', ['=HYPERLINK("x","y")'], '"\'=HYPERLINK(""x"",""y"")"']
+];
+
+for (const [name, values, expected] of FORMAT_CASES) {
+  test(`formatCsvRow: ${name}`, () => {
+    assert.equal(formatCsvRow(values), `${expected}\r\n`);
+  });
+}
+
+test('formatted rows parse back to the same values', () => {
+  const values = ['Silva, Ana', 'say "hi"', 'line 1\nline 2', '', 'José'];
+
+  assert.deepEqual(parseCsv(formatCsvRow(values) + formatCsvRow(values)), [values, values]);
+});
@@ -0,0 +1,105 @@
+// Revisions of clinical entries under concurrent edits. Models are backed by
+// in-memory stores, so no database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Disease = require('../models/Disease');
+const EntryRevision = require('../models/EntryRevision');
+const { saveRevision, retractEntry } = require('../services/entryRevisionService');
+const { snapshot } = require('../services/auditService');
+
+const stored = new Map();
+let revisions;
+
+// Load a copy of the stored entry, as a route would
+const load = id => Disease.hydrate({ ...stored.get(id.toString()) });
+
+beforeEach(() => {
+  stored.clear();
+  revisions = [];
+
+  EntryRevision.exists = async ({ entry }) => revisions.some(revision => revision.entry.toString() === entry.toString());
+  EntryRevision.updateOne = async (filter, update) => {
+    const exists = revisions.some(revision =>
+      revision.entryType === filter.entryType && revision.entry.toString() === filter.entry.toString() && revision.revision === filter.revision);
+    if (!exists) revisions.push({ ...filter, ...update.$setOnInsert });
+  };
+  Disease.findOneAndUpdate = async (filter, update) => {
+    const current = stored.get(filter._id.toString());
+    const revision = current.revision;
+    const matches = filter.$or ? (revision === 1 || revision === undefined) : revision === filter.revision;
+    if (!matches) return null;
+
+    const next = { ...current, ...update.$set };
+    Object.keys(update.$unset || {}).forEach(field => delete next[field]);
+    stored.set(filter._id.toString(), next);
+    return Disease.hydrate({ ...next });
+  };
+});
+
+function storeDisease(fields = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  stored.set(_id.toString(), {
+    _id,
+    patient: new mongoose.Types.ObjectId(),
+    doctor: new mongoose.Types.ObjectId(),
+    name: 'Asthma',
+    status: 'active',
+    createdAt: new Date(),
+    ...fields
+  });
+  return _id;
+}
+
+async function edit(id, changes, reason) {
+  const entry = load(id);
+  const before = snapshot(entry);
+  Object.assign(entry, changes);
+  return { entry, saved: await saveRevision('disease', entry, { action: 'update', changedBy: entry.doctor, reason, before }) };
+}
+
+test('an edit bumps the revision and keeps the original as revision 1', async () => {
+  const id = storeDisease();
+  const { entry, saved } = await edit(id, { status: 'managed' }, 'Under control');
+
+  assert.equal(saved.error, undefined);
+  assert.equal(entry.revision, 2);
+  assert.equal(stored.get(id.toString()).status, 'managed');
+  assert.deepEqual(revisions.map(revision => [revision.revision, revision.action]), [[1, 'create'], [2, 'update']]);
+  assert.equal(revisions[0].data.status, 'active');
+});
+
+test('of two edits made from the same version, the second gets a conflict', async () => {
+  const id = storeDisease({ revision: 3 });
+  const first = load(id);
+  const second = load(id);
+
+  first.status = 'managed';
+  second.name = 'Severe asthma';
+  const results = await Promise.all([
+    saveRevision('disease', first, { action: 'update', changedBy: first.doctor, reason: 'a', before: snapshot(load(id)) }),
+    saveRevision('disease', second, { action: 'update', changedBy: second.doctor, reason: 'b', before: snapshot(load(id)) })
+  ]);
+
+  assert.equal(results[0].error, undefined);
+  assert.equal(results[1].status, 409);
+  assert.deepEqual({ name: stored.get(id.toString()).name, revision: stored.get(id.toString()).revision }, { name: 'Asthma', revision: 4 });
+  assert.deepEqual(revisions.map(revision => revision.revision).sort(), [3, 4]);
+});
+
+test('a legacy entry without a revision field can be retracted once', async () => {
+  const id = storeDisease();
+  const entry = load(id);
+  const saved = await retractEntry('disease', entry, { changedBy: entry.doctor, before: snapshot(entry) });
+
+  assert.equal(saved.error, undefined);
+  assert.equal(stored.get(id.toString()).retractionReason, 'Entered in error');
+  assert.equal(stored.get(id.toString()).revision, 2);
+
+  const stale = load(id);
+  stale.revision = 1;
+  const again = await retractEntry('disease', stale, { changedBy: stale.doctor, before: snapshot(stale) });
+  assert.equal(again.status, 409);
+});
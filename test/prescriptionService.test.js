@@ -0,0 +1,180 @@
+// Prescription QR codes: tampered payloads, wrong signatures and dispensing
+// the same prescription twice. Models are backed by in-memory stores, so no
+// database is needed.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { qrPayload, parseQrPayload, verifyPrescription, dispensePrescription } = require('../services/prescriptionService');
+
+const doctor = new mongoose.Types.ObjectId();
+const pharmacist = new mongoose.Types.ObjectId();
+const pharmacy = { pharmacy: 'Central Pharmacy', ip: '203.0.113.10' };
+
+let stored;
+let dispensations;
+
+const find = filter => [...stored.values()].find(doc => Object.entries(filter).every(([field, value]) => doc[field] === value));
+const load = doc => doc && Prescription.hydrate({ ...doc });
+const query = result => Object.assign(Promise.resolve(result), {
+  select: () => Promise.resolve(result),
+  populate: () => Promise.resolve(result)
+});
+
+// Store a prescription as printed; `fields` can leave out what older entries lack
+function prescribe(fields = {}) {
+  const prescription = new Prescription({
+    patient: new mongoose.Types.ObjectId(),
+    doctor,
+    medication: 'Amoxicillin',
+    dosage: '500 mg three times a day',
+    duration: '7 days',
+    ...fields
+  });
+  prescription.verificationCode = Prescription.generateVerificationCode();
+  const doc = prescription.toObject();
+  if (fields.revision === undefined) delete doc.revision;
+  stored.set(doc._id.toString(), doc);
+  return Prescription.hydrate({ ...doc });
+}
+
+// The code and signature a pharmacist's scanner reads from the sheet
+const scan = prescription => parseQrPayload(qrPayload(prescription));
+
+beforeEach(() => {
+  stored = new Map();
+  dispensations = [];
+
+  Prescription.findOne = filter => query(load(find(filter)));
+  Prescription.findById = id => query(load(stored.get(id.toString())));
+  Prescription.findOneAndUpdate = async (filter, update) => {
+    const doc = stored.get(filter._id.toString());
+    const atRevision = filter.$or
+      ? doc.revision === undefined || doc.revision === 1
+      : doc.revision === filter.revision;
+    if (!atRevision || doc.dispensedAt || doc.retractedAt) return null;
+
+    Object.assign(doc, update.$set);
+    return load(doc);
+  };
+  Dispensation.create = async fields => {
+    const dispensation = new Dispensation(fields);
+    dispensations.push(dispensation);
+    return dispensation;
+  };
+  User.findById = () => query({ name: 'Eva', familyName: 'Lopes' });
+  Notification.prototype.save = async function() {
+    return this;
+  };
+});
+
+test('a scanned QR code reads back as its code and signature', () => {
+  const prescription = prescribe();
+  const scanned = scan(prescription);
+
+  assert.equal(scanned.code, prescription.verificationCode);
+  assert.ok(scanned.signature);
+});
+
+test('malformed QR payloads are rejected', () => {
+  const cases = ['', 'MEDFLOW-RX:', 'MEDFLOW-RX:ABCDE-FGHJK', 'MEDFLOW-RX:ABC.sig', 'OTHER-RX:ABCDE-FGHJK.sig', 'MEDFLOW-RX:ABCDE-FGHJK.sig!'];
+  cases.forEach(payload => assert.equal(parseQrPayload(payload), null, payload));
+});
+
+test('an untouched sheet verifies as valid', async () => {
+  const prescription = prescribe();
+  const { code, signature } = scan(prescription);
+
+  const result = await verifyPrescription(code, signature);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.status, 'valid');
+  assert.equal(result.signatureChecked, true);
+  assert.equal(result.medication, 'Amoxicillin');
+});
+
+test('tampered payloads and changed prescriptions are reported as a mismatch', async () => {
+  const prescription = prescribe();
+  const other = prescribe({ medication: 'Ibuprofen' });
+  const { code, signature } = scan(prescription);
+
+  const cases = [
+    ['signature altered', code, `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`],
+    ['signature truncated', code, signature.slice(0, 10)],
+    ['code copied onto another sheet', other.verificationCode, signature]
+  ];
+  for (const [name, scannedCode, scannedSignature] of cases) {
+    const result = await verifyPrescription(scannedCode, scannedSignature);
+    assert.equal(result.valid, false, name);
+    assert.equal(result.status, 'mismatch', name);
+    assert.equal(result.medication, undefined, name);
+  }
+
+  // Changed by the doctor after the sheet was printed
+  stored.get(prescription._id.toString()).dosage = '1 g twice a day';
+  assert.equal((await verifyPrescription(code, signature)).status, 'mismatch');
+});
+
+test('a wrong signature can not be dispensed', async () => {
+  const prescription = prescribe();
+  const { code } = scan(prescription);
+
+  const result = await dispensePrescription(code, 'not-the-signature', pharmacist, pharmacy);
+
+  assert.equal(result.status, 400);
+  assert.equal(stored.get(prescription._id.toString()).dispensedAt, undefined);
+  assert.equal(dispensations.length, 0);
+});
+
+test('a prescription is dispensed once; the second attempt is refused', async () => {
+  const prescription = prescribe({ revision: 2 });
+  const { code, signature } = scan(prescription);
+
+  const first = await dispensePrescription(code, signature, pharmacist, pharmacy);
+  assert.equal(first.error, undefined);
+  assert.ok(first.prescription.dispensedAt);
+
+  const second = await dispensePrescription(code, signature, pharmacist, pharmacy);
+  assert.equal(second.status, 409);
+  assert.match(second.error, /already dispensed/);
+  assert.deepEqual(second.dispensedAt, first.prescription.dispensedAt);
+  assert.equal(dispensations.length, 1);
+  assert.equal((await verifyPrescription(code, signature)).status, 'dispensed');
+});
+
+test('the same prescription dispensed in parallel is handed out once', async () => {
+  const prescription = prescribe({ revision: 1 });
+  const { code, signature } = scan(prescription);
+
+  const results = await Promise.all([
+    dispensePrescription(code, signature, pharmacist, pharmacy),
+    dispensePrescription(code, signature, pharmacist, pharmacy)
+  ]);
+
+  assert.equal(results.filter(result => !result.error).length, 1);
+  assert.equal(results.find(result => result.error).status, 409);
+  assert.equal(dispensations.length, 1);
+});
+
+test('a prescription from before revisions were kept can be dispensed', async () => {
+  const prescription = prescribe();
+  assert.equal(stored.get(prescription._id.toString()).revision, undefined);
+  const { code, signature } = scan(prescription);
+
+  const result = await dispensePrescription(code, signature, pharmacist, pharmacy);
+
+  assert.equal(result.error, undefined);
+});
+
+test('a withdrawn prescription can not be dispensed', async () => {
+  const prescription = prescribe({ revision: 1, retractedAt: new Date() });
+  const { code, signature } = scan(prescription);
+
+  const result = await dispensePrescription(code, signature, pharmacist, pharmacy);
+
+  assert.equal(result.status, 409);
+  assert.match(result.error, /withdrawn/);
+});
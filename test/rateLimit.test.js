@@ -0,0 +1,75 @@
+// Per-IP rate limiting behind a reverse proxy. The limiter store is backed by
+// an in-memory map, so no database is needed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const RateLimit = require('../models/RateLimit');
+const { rateLimit, parseTrustProxy } = require('../middleware/rateLimit');
+
+const counters = new Map();
+
+before(() => {
+  RateLimit.findOneAndUpdate = async ({ key }, update) => {
+    const counter = counters.get(key) || { count: 0, expiresAt: update.$setOnInsert.expiresAt };
+    counter.count += update.$inc.count;
+    counters.set(key, counter);
+    return counter;
+  };
+});
+
+after(() => counters.clear());
+
+// Start an app with one limited route; resolves to its base URL and server
+async function startApp(trustProxy, name) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.get('/limited', rateLimit({ name, windowMs: 60 * 1000, max: 2 }), (req, res) => res.json({ ip: req.ip }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}/limited` };
+}
+
+const requestFrom = (url, clientIp) => fetch(url, { headers: { 'X-Forwarded-For': clientIp } });
+
+test('parseTrustProxy reads hop counts, flags and address lists', () => {
+  const cases = [
+    [undefined, false],
+    ['', false],
+    ['false', false],
+    ['true', true],
+    ['1', 1],
+    [' 2 ', 2],
+    ['loopback', ['loopback']],
+    ['loopback, 10.0.0.0/8', ['loopback', '10.0.0.0/8']]
+  ];
+  cases.forEach(([value, expected]) => assert.deepEqual(parseTrustProxy(value), expected, `TRUST_PROXY=${value}`));
+});
+
+test('behind a trusted proxy, forwarded clients get separate buckets', async () => {
+  const { server, url } = await startApp(parseTrustProxy('1'), 'proxied');
+  try {
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await requestFrom(url, '203.0.113.10')).status, 200);
+    }
+    assert.equal((await requestFrom(url, '203.0.113.10')).status, 429);
+
+    const other = await requestFrom(url, '198.51.100.20');
+    assert.equal(other.status, 200);
+    assert.equal((await other.json()).ip, '198.51.100.20');
+  } finally {
+    server.close();
+  }
+});
+
+test('without trust proxy, forwarded headers are ignored and the proxy address is the key', async () => {
+  const { server, url } = await startApp(parseTrustProxy(undefined), 'direct');
+  try {
+    assert.equal((await requestFrom(url, '203.0.113.10')).status, 200);
+    assert.equal((await requestFrom(url, '198.51.100.20')).status, 200);
+    assert.equal((await requestFrom(url, '192.0.2.30')).status, 429);
+  } finally {
+    server.close();
+  }
+});
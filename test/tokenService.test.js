@@ -0,0 +1,108 @@
+// Refresh-token rotation and replay detection. The Session model is backed by
+// an in-memory store, so no database is needed.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken } = require('../services/tokenService');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'ana@example.com', role: 'Patient' };
+const req = { ip: '203.0.113.10', get: () => 'test-agent' };
+
+let sessions;
+
+// Just enough of MongoDB's query language for the filters tokenService builds
+function matches(session, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = session[field];
+    if (condition === null) return value === null || value === undefined;
+    if (condition && condition.$gt) return value > condition.$gt;
+    return String(value) === String(condition);
+  });
+}
+
+const find = filter => [...sessions.values()].find(session => matches(session, filter)) || null;
+const query = result => {
+  const chain = Object.assign(Promise.resolve(result), {
+    select: () => chain,
+    populate: () => Promise.resolve(result && { ...result, user })
+  });
+  return chain;
+};
+
+beforeEach(() => {
+  sessions = new Map();
+
+  Session.prototype.save = async function() {
+    sessions.set(this._id.toString(), this.toObject());
+    return this;
+  };
+  Session.findOne = filter => query(find(filter));
+  Session.findById = id => query(sessions.get(id.toString()) || null);
+  Session.findOneAndUpdate = async (filter, update) => {
+    const session = find(filter);
+    if (!session) return null;
+
+    const { $push, ...fields } = update;
+    Object.assign(session, fields);
+    if ($push) {
+      const { $each, $slice } = $push.retiredRefreshTokenHashes;
+      session.retiredRefreshTokenHashes = [...(session.retiredRefreshTokenHashes || []), ...$each].slice($slice);
+    }
+    return { ...session };
+  };
+});
+
+test('rotation issues a new pair and retires the old refresh token', async () => {
+  const first = await createSession(user, req);
+
+  const second = await rotateRefreshToken(first.refreshToken, req);
+
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.refreshToken.split('.')[0], first.session._id.toString());
+
+  const third = await rotateRefreshToken(second.refreshToken, req);
+  assert.ok(third);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async () => {
+  const first = await createSession(user, req);
+  const second = await rotateRefreshToken(first.refreshToken, req);
+
+  assert.equal(await rotateRefreshToken(first.refreshToken, req), null);
+
+  const session = sessions.get(first.session._id.toString());
+  assert.ok(session.revokedAt);
+  assert.equal(session.revokedReason, 'refresh_token_reuse');
+  assert.equal(await rotateRefreshToken(second.refreshToken, req), null);
+});
+
+test('a wrong secret is rejected without signing the user out', async () => {
+  const first = await createSession(user, req);
+  const guess = `${first.session._id}.${'0'.repeat(96)}`;
+
+  assert.equal(await rotateRefreshToken(guess, req), null);
+
+  assert.equal(sessions.get(first.session._id.toString()).revokedAt, undefined);
+  assert.ok(await rotateRefreshToken(first.refreshToken, req));
+});
+
+test('the same refresh token used in parallel rotates once and revokes the session', async () => {
+  const first = await createSession(user, req);
+
+  const results = await Promise.all([
+    rotateRefreshToken(first.refreshToken, req),
+    rotateRefreshToken(first.refreshToken, req)
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(sessions.get(first.session._id.toString()).revokedReason, 'refresh_token_reuse');
+});
+
+test('malformed refresh tokens are rejected', async () => {
+  const cases = [undefined, null, 42, { token: 'x' }, '', 'no-dot', 'not-an-id.secret', `${user._id}.`];
+  for (const refreshToken of cases) {
+    assert.equal(await rotateRefreshToken(refreshToken, req), null, String(refreshToken));
+  }
+});
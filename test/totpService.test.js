@@ -0,0 +1,132 @@
+// TOTP codes and recovery codes, including codes replayed in parallel
+// requests. The User model is backed by an in-memory store, so no database
+// is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const totpService = require('../services/totpService');
+
+const PERIOD = 30;
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD);
+
+let stored;
+
+// Load a copy of the stored user, as a route would
+const load = () => User.hydrate({
+  _id: stored._id,
+  twoFactor: { ...stored.twoFactor, recoveryCodes: [...stored.twoFactor.recoveryCodes] }
+});
+
+beforeEach(() => {
+  const { hashes } = totpService.generateRecoveryCodes();
+  stored = {
+    _id: new User()._id,
+    twoFactor: { enabled: true, secret: totpService.generateSecret(), recoveryCodes: hashes }
+  };
+
+  User.updateOne = async (filter, update) => {
+    const { lastUsedStep, recoveryCodes } = stored.twoFactor;
+    const matches = filter.$or
+      ? lastUsedStep === undefined || lastUsedStep < filter.$or[0]['twoFactor.lastUsedStep'].$lt
+      : recoveryCodes.includes(filter['twoFactor.recoveryCodes']);
+    if (!matches) return { modifiedCount: 0 };
+
+    if (update.$set) stored.twoFactor.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+    if (update.$pull) {
+      const hash = update.$pull['twoFactor.recoveryCodes'];
+      stored.twoFactor.recoveryCodes = recoveryCodes.filter(code => code !== hash);
+    }
+    return { modifiedCount: 1 };
+  };
+});
+
+test('verifyCode accepts the current step and one step of drift, and nothing older', () => {
+  const { secret } = stored.twoFactor;
+  const step = currentStep();
+  const cases = [
+    ['current step', totpService.generateCode(secret, step), step],
+    ['one step behind', totpService.generateCode(secret, step - 1), step - 1],
+    ['one step ahead', totpService.generateCode(secret, step + 1), step + 1],
+    ['expired', totpService.generateCode(secret, step - 3), null],
+    ['too far ahead', totpService.generateCode(secret, step + 3), null],
+    ['not six digits', '12345', null],
+    ['not a string', 123456, null]
+  ];
+  cases.forEach(([name, code, expected]) => assert.equal(totpService.verifyCode(secret, code), expected, name));
+});
+
+test('verifyCode refuses steps at or before the last used one', () => {
+  const { secret } = stored.twoFactor;
+  const step = currentStep();
+  const code = totpService.generateCode(secret, step);
+
+  assert.equal(totpService.verifyCode(secret, code, step), null);
+  assert.equal(totpService.verifyCode(secret, code, step - 1), step);
+});
+
+test('a valid code is accepted once and recorded', async () => {
+  const code = totpService.generateCode(stored.twoFactor.secret, currentStep());
+
+  assert.equal(await totpService.checkSecondFactor(load(), { code }), true);
+  assert.equal(stored.twoFactor.lastUsedStep, currentStep());
+  assert.equal(await totpService.checkSecondFactor(load(), { code }), false);
+});
+
+test('an expired code is refused', async () => {
+  const code = totpService.generateCode(stored.twoFactor.secret, currentStep() - 3);
+
+  assert.equal(await totpService.checkSecondFactor(load(), { code }), false);
+  assert.equal(stored.twoFactor.lastUsedStep, undefined);
+});
+
+test('the same code sent in parallel requests is accepted only once', async () => {
+  const code = totpService.generateCode(stored.twoFactor.secret, currentStep());
+  const [first, second] = [load(), load()];
+
+  const results = await Promise.all([
+    totpService.checkSecondFactor(first, { code }),
+    totpService.checkSecondFactor(second, { code })
+  ]);
+
+  assert.deepEqual(results.sort(), [false, true]);
+});
+
+test('an accepted code is not written back by a later save', async () => {
+  const user = load();
+  const code = totpService.generateCode(stored.twoFactor.secret, currentStep());
+
+  await totpService.checkSecondFactor(user, { code });
+
+  assert.equal(user.isModified('twoFactor.lastUsedStep'), false);
+});
+
+test('a recovery code works once, in any format', async () => {
+  const { codes, hashes } = totpService.generateRecoveryCodes();
+  stored.twoFactor.recoveryCodes = hashes;
+  const [code] = codes;
+
+  assert.equal(await totpService.checkSecondFactor(load(), { recoveryCode: ` ${code.toUpperCase()} ` }), true);
+  assert.equal(stored.twoFactor.recoveryCodes.length, hashes.length - 1);
+  assert.equal(await totpService.checkSecondFactor(load(), { recoveryCode: code }), false);
+});
+
+test('a recovery code used in parallel requests is accepted only once', async () => {
+  const { codes, hashes } = totpService.generateRecoveryCodes();
+  stored.twoFactor.recoveryCodes = hashes;
+  const [first, second] = [load(), load()];
+
+  const results = await Promise.all([
+    totpService.checkSecondFactor(first, { recoveryCode: codes[0] }),
+    totpService.checkSecondFactor(second, { recoveryCode: codes[0] })
+  ]);
+
+  assert.deepEqual(results.sort(), [false, true]);
+  assert.equal(first.isModified('twoFactor.recoveryCodes'), false);
+});
+
+test('an unknown recovery code is refused', async () => {
+  assert.equal(await totpService.checkSecondFactor(load(), { recoveryCode: '0000-0000' }), false);
+  assert.equal(await totpService.checkSecondFactor(load(), {}), false);
+});
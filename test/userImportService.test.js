@@ -0,0 +1,90 @@
+// Committing a CSV user import. The User model is backed by an in-memory
+// store, so no database is needed.
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const { validateImport, commitImport } = require('../services/userImportService');
+
+const adminId = new mongoose.Types.ObjectId();
+let users;
+let emailsSent;
+let failOn;
+
+const select = result => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+
+beforeEach(() => {
+  users = new Map();
+  emailsSent = [];
+  failOn = null;
+
+  User.find = ({ email }) => select([...users.values()].filter(user => email.$in.includes(user.email)));
+  User.deleteMany = async ({ _id }) => {
+    _id.$in.forEach(id => users.delete(id.toString()));
+  };
+  User.prototype.save = async function() {
+    if (this.email === failOn) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    users.set(this._id.toString(), this);
+    return this;
+  };
+  emailService.sendActivationEmail = async email => {
+    emailsSent.push(email);
+    return { success: true };
+  };
+});
+
+const CSV = [
+  'name,familyName,email,role,speciality',
+  'Ana,Silva,ana@example.com,Patient,',
+  'Rui,Costa,rui@example.com,Doctor,Cardiology',
+  'Eva,Lopes,eva@example.com,Pharmacist,'
+].join('\n');
+
+test('every row is imported and doctors await credential review', async () => {
+  const { rows } = await validateImport(CSV);
+  const { created, failures, activationEmailsFailed } = await commitImport(rows, adminId);
+
+  assert.equal(failures, undefined);
+  assert.equal(created.length, 3);
+  assert.equal(activationEmailsFailed, 0);
+  assert.deepEqual(emailsSent, ['ana@example.com', 'rui@example.com', 'eva@example.com']);
+  assert.equal(created.find(user => user.role === 'Doctor').doctorApproval, 'pending');
+});
+
+test('doctors are approved only when asked', async () => {
+  const { rows } = await validateImport(CSV);
+  await commitImport(rows, adminId, { approveDoctors: true });
+
+  const doctor = [...users.values()].find(user => user.role === 'Doctor');
+  assert.equal(doctor.doctorApproval.status, 'approved');
+  assert.equal(doctor.doctorApproval.reviewedBy.toString(), adminId.toString());
+});
+
+test('an email taken after the dry run fails the import before any write', async () => {
+  const { rows } = await validateImport(CSV);
+  const existing = new User({ name: 'Eva', familyName: 'Lopes', email: 'eva@example.com', role: 'Patient' });
+  users.set(existing._id.toString(), existing);
+
+  const { created, failures } = await commitImport(rows, adminId);
+
+  assert.equal(created, undefined);
+  assert.deepEqual(failures, [{ line: 4, email: 'eva@example.com', errors: ['A user already exists with this email'] }]);
+  assert.equal(users.size, 1);
+  assert.deepEqual(emailsSent, []);
+});
+
+test('a save failing halfway rolls back the users already created', async () => {
+  const { rows } = await validateImport(CSV);
+  failOn = 'rui@example.com';
+
+  const { failures } = await commitImport(rows, adminId);
+
+  assert.deepEqual(failures, [{ line: 3, email: 'rui@example.com', errors: ['A user already exists with this email'] }]);
+  assert.equal(users.size, 0);
+  assert.deepEqual(emailsSent, []);
+});
@@ -0,0 +1,107 @@
+// Table-driven checks of user listing queries: filters, sorting, pagination
+// and the pagination headers
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUserQuery, parsePagination, setPaginationHeaders } = require('../services/userQueryService');
+
+const ALL_FILTERS = { filters: ['role', 'isVerified', 'status'] };
+const DEFAULT_SORT = { name: 1, _id: 1 };
+const word = value => ({
+  $or: ['name', 'familyName', 'email'].map(field => ({ [field]: { $regex: value, $options: 'i' } }))
+});
+
+// [name, query, options, expected filter, expected sort, expected paging]
+const VALID_CASES = [
+  ['no parameters', {}, {}, {}, DEFAULT_SORT, { page: 1, limit: 20 }],
+  ['one search word', { q: 'ana' }, {}, { $and: [word('ana')] }],
+  ['every word must match', { q: '  ana   silva ' }, {}, { $and: [word('ana'), word('silva')] }],
+  ['blank search ignored', { q: '   ' }, {}, {}],
+  ['regex characters escaped', { q: 'a.b+(c)' }, {}, { $and: [word('a\\.b\\+\\(c\\)')] }],
+  ['one role', { role: 'Doctor' }, ALL_FILTERS, { role: 'Doctor' }],
+  ['several roles', { role: 'Doctor,Patient' }, ALL_FILTERS, { role: { $in: ['Doctor', 'Patient'] } }],
+  ['role ignored where not allowed', { role: 'Doctor' }, {}, {}],
+  ['verified', { isVerified: 'true' }, ALL_FILTERS, { isVerified: true }],
+  ['unverified', { isVerified: 'false' }, ALL_FILTERS, { isVerified: false }],
+  ['active includes accounts without a status', { status: 'active' }, ALL_FILTERS, { status: { $nin: ['suspended', 'deactivated'] } }],
+  ['suspended', { status: 'suspended' }, ALL_FILTERS, { status: 'suspended' }],
+  ['created from', { createdFrom: '2024-01-01' }, {}, { createdAt: { $gte: new Date('2024-01-01') } }],
+  ['bare end date covers the whole day', { createdTo: '2024-01-31' }, {}, { createdAt: { $lte: new Date('2024-01-31T23:59:59.999Z') } }],
+  ['end date with a time kept as is', { createdTo: '2024-01-31T12:00:00Z' }, {}, { createdAt: { $lte: new Date('2024-01-31T12:00:00Z') } }],
+  ['ascending sort', { sort: 'email' }, {}, {}, { email: 1, _id: 1 }],
+  ['descending sort', { sort: '-createdAt' }, {}, {}, { createdAt: -1, _id: 1 }],
+  ['listing default sort', {}, { defaultSort: '-createdAt' }, {}, { createdAt: -1, _id: 1 }],
+  ['page and limit', { page: '3', limit: '50' }, {}, {}, DEFAULT_SORT, { page: 3, limit: 50 }],
+  ['limit capped', { limit: '1000' }, {}, {}, DEFAULT_SORT, { page: 1, limit: 100 }],
+  ['empty page and limit use defaults', { page: '', limit: '' }, {}, {}, DEFAULT_SORT, { page: 1, limit: 20 }]
+];
+
+for (const [name, query, options, filter, sort = DEFAULT_SORT, paging] of VALID_CASES) {
+  test(`parseUserQuery: ${name}`, () => {
+    const result = parseUserQuery(query, options);
+
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.filter, filter);
+    assert.deepEqual(result.sort, sort);
+    if (paging) assert.deepEqual({ page: result.page, limit: result.limit }, paging);
+  });
+}
+
+// [name, query, expected error]
+const INVALID_CASES = [
+  ['repeated search', { q: ['a', 'b'] }, /q must be given only once/],
+  ['repeated role', { role: ['Doctor', 'Patient'] }, /role must be given only once/],
+  ['repeated page', { page: ['1', '2'] }, /page must be given only once/],
+  ['isVerified not a boolean', { isVerified: 'yes' }, /isVerified must be true or false/],
+  ['unknown status', { status: 'banned' }, /status must be active, suspended or deactivated/],
+  ['invalid start date', { createdFrom: 'yesterday' }, /Invalid createdFrom date/],
+  ['invalid end date', { createdTo: '2024-13-45' }, /Invalid createdTo date/],
+  ['unsortable field', { sort: 'password' }, /sort must be one of/],
+  ['zero page', { page: '0' }, /positive integers/],
+  ['negative limit', { limit: '-5' }, /positive integers/],
+  ['fractional page', { page: '1.5' }, /positive integers/],
+  ['non-numeric limit', { limit: 'all' }, /positive integers/]
+];
+
+for (const [name, query, expected] of INVALID_CASES) {
+  test(`parseUserQuery rejects ${name}`, () => {
+    assert.match(parseUserQuery(query, ALL_FILTERS).error, expected);
+  });
+}
+
+test('parsePagination checks page and limit on their own', () => {
+  assert.deepEqual(parsePagination({ page: '2', limit: '10', sort: 'ignored' }), { page: 2, limit: 10 });
+  assert.match(parsePagination({ limit: '0' }).error, /positive integers/);
+});
+
+// Response headers a listing sets for one page
+function headersFor(originalUrl, pagination) {
+  const headers = {};
+  const req = { originalUrl, protocol: 'http', get: () => 'localhost:5000' };
+  const res = { set: (name, value) => { headers[name] = value; } };
+  setPaginationHeaders(req, res, pagination);
+  return headers;
+}
+
+const HEADER_CASES = [
+  ['first page', { page: 1, limit: 20, total: 45, totalPages: 3 }, ['first', 'next', 'last']],
+  ['middle page', { page: 2, limit: 20, total: 45, totalPages: 3 }, ['first', 'prev', 'next', 'last']],
+  ['last page', { page: 3, limit: 20, total: 45, totalPages: 3 }, ['first', 'prev', 'last']],
+  ['no results', { page: 1, limit: 20, total: 0, totalPages: 0 }, ['first', 'last']]
+];
+
+for (const [name, pagination, rels] of HEADER_CASES) {
+  test(`setPaginationHeaders: ${name}`, () => {
+    const headers = headersFor('/api/admin/users?role=Doctor&page=2', pagination);
+
+    assert.equal(headers['X-Total-Count'], String(pagination.total));
+    assert.equal(headers['X-Total-Pages'], String(pagination.totalPages));
+    assert.deepEqual(headers.Link.split(', ').map(link => /rel="(\w+)"/.exec(link)[1]), rels);
+  });
+}
+
+test('setPaginationHeaders keeps the other query parameters in page links', () => {
+  const headers = headersFor('/api/admin/users?role=Doctor&page=2', { page: 2, limit: 20, total: 45, totalPages: 3 });
+
+  assert.match(headers.Link, /<\/api\/admin\/users\?role=Doctor&page=3&limit=20>; rel="next"/);
+  assert.match(headers.Link, /<\/api\/admin\/users\?role=Doctor&page=1&limit=20>; rel="first"/);
+});